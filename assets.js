@@ -1,9 +1,13 @@
 import embeddedPaletteData from './data/paletteData.js';
 import embeddedGlyphData from './data/glyphsData.js';
+import embeddedPrefabData from './data/prefabsData.js';
 import { TilesetLoader } from './data/tilesetLoader.js';
+import { createTileStore } from './data/tileStore.js';
+import { PrefabLibrary } from './world/prefabs.js';
 
 const PALETTE_PATH = './data/palette.json';
 const GLYPHS_PATH = './data/glyphs.json';
+const PREFABS_PATH = './data/prefabs.json';
 
 const CARDINAL_DIRECTIONS = ['north', 'south', 'east', 'west'];
 
@@ -271,13 +275,14 @@ function loadEmbeddedAssetJson() {
   if (!embeddedGlyphData) {
     throw new Error('Embedded glyph data missing');
   }
-  return { paletteJson: embeddedPaletteData, glyphJson: embeddedGlyphData };
+  return { paletteJson: embeddedPaletteData, glyphJson: embeddedGlyphData, prefabJson: embeddedPrefabData || null };
 }
 
 async function fetchAssetJson() {
-  const [paletteRes, glyphRes] = await Promise.all([
+  const [paletteRes, glyphRes, prefabRes] = await Promise.all([
     fetch(PALETTE_PATH),
-    fetch(GLYPHS_PATH)
+    fetch(GLYPHS_PATH),
+    fetch(PREFABS_PATH).catch(() => null)
   ]);
   if (!paletteRes.ok) {
     throw new Error(`Failed to load palette: ${paletteRes.status}`);
@@ -285,11 +290,12 @@ async function fetchAssetJson() {
   if (!glyphRes.ok) {
     throw new Error(`Failed to load glyphs: ${glyphRes.status}`);
   }
-  const [paletteJson, glyphJson] = await Promise.all([
+  const [paletteJson, glyphJson, prefabJson] = await Promise.all([
     paletteRes.json(),
-    glyphRes.json()
+    glyphRes.json(),
+    prefabRes && prefabRes.ok ? prefabRes.json() : null
   ]);
-  return { paletteJson, glyphJson };
+  return { paletteJson, glyphJson, prefabJson };
 }
 
 function logAssetSummary(palette, glyphs, source) {
@@ -313,7 +319,11 @@ function createTilesetFactory(palette, options = {}) {
       voxelWorld: mergedOptions.voxelWorld || null,
       worldSeed: mergedOptions.worldSeed != null ? mergedOptions.worldSeed : (options.worldSeed ?? 0),
       onTileHydrated: mergedOptions.onTileHydrated || null,
-      editor: mergedOptions.editor || null
+      editor: mergedOptions.editor || null,
+      maxConcurrent: mergedOptions.maxConcurrent ?? 4,
+      lodBias: mergedOptions.lodBias ?? 0.5,
+      cacheBudgetBytes: mergedOptions.cacheBudgetBytes ?? 8 * 1024 * 1024,
+      tileStore: mergedOptions.tileStore !== undefined ? mergedOptions.tileStore : createTileStore()
     });
   };
 }
@@ -322,11 +332,12 @@ export async function loadAssets(options = {}) {
   const preferFetch = options.preferFetch === true;
   let paletteJson;
   let glyphJson;
+  let prefabJson = null;
   const errors = [];
 
   if (!preferFetch) {
     try {
-      ({ paletteJson, glyphJson } = loadEmbeddedAssetJson());
+      ({ paletteJson, glyphJson, prefabJson } = loadEmbeddedAssetJson());
     } catch (err) {
       errors.push(err);
       console.warn(`[assets] Embedded asset load failed: ${err.message}`);
@@ -336,7 +347,7 @@ export async function loadAssets(options = {}) {
   let source = 'embedded data';
   if (!paletteJson || !glyphJson) {
     try {
-      ({ paletteJson, glyphJson } = await fetchAssetJson());
+      ({ paletteJson, glyphJson, prefabJson } = await fetchAssetJson());
       source = 'network fetch';
     } catch (err) {
       errors.push(err);
@@ -350,7 +361,8 @@ export async function loadAssets(options = {}) {
 
   const palette = buildPaletteLUT(paletteJson);
   const glyphs = buildGlyphRegistry(glyphJson, palette.colors);
+  const prefabs = PrefabLibrary.fromJSON(prefabJson);
   logAssetSummary(palette, glyphs, source);
   const tilesetFactory = createTilesetFactory(palette, options);
-  return { palette, glyphs, createTilesetLoader: tilesetFactory };
+  return { palette, glyphs, prefabs, createTilesetLoader: tilesetFactory };
 }
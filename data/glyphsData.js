@@ -32,7 +32,55 @@ export default {
       "width": 5,
       "height": 3,
       "palette": [null, "#4a2e23", "#c24b3a", "#f1d4a1"],
-      "rle": "1*0 1*1 1*0 1*1 1*2 1*1 1*0 1*3 1*0 5*1 1*0 1*3 1*0"
+      "rle": "1*0 3*2 6*1 1*0 1*3 1*0 1*3 1*0"
+    },
+    {
+      "key": "cart_1",
+      "name": "Cart (rolling)",
+      "width": 5,
+      "height": 3,
+      "palette": [null, "#4a2e23", "#c24b3a", "#f1d4a1"],
+      "rle": "1*0 3*2 6*1 1*0 1*1 1*0 1*1 1*0"
+    },
+    {
+      "key": "boat",
+      "name": "Boat",
+      "width": 5,
+      "height": 4,
+      "palette": [null, "#4a2e23", "#f1d4a1"],
+      "rle": "2*0 1*2 3*0 2*2 2*0 5*1 1*0 3*1 1*0"
+    },
+    {
+      "key": "walker",
+      "name": "Walker",
+      "width": 3,
+      "height": 5,
+      "palette": [null, "#4a2e23", "#f1d4a1", "#c24b3a"],
+      "rle": "1*0 1*2 1*0 3*3 1*0 1*3 2*0 1*1 1*0 1*1 1*0 1*1"
+    },
+    {
+      "key": "sheep",
+      "name": "Sheep",
+      "width": 4,
+      "height": 3,
+      "palette": [null, "#f1d4a1", "#4a2e23"],
+      "rle": "1*0 2*1 1*0 1*2 3*1 1*0 1*2 1*0 1*2"
+    },
+    {
+      "key": "cloud",
+      "name": "Cloud Puff",
+      "width": 8,
+      "height": 4,
+      "palette": [null, "#ffffff", "#e6eef5"],
+      "rle": "2*0 2*1 5*0 6*1 1*0 8*1 1*0 6*2 1*0"
+    },
+    {
+      "key": "tree_cluster",
+      "name": "Tree Cluster",
+      "width": 9,
+      "height": 7,
+      "palette": [null, "#1f6728", "#184f20", "#4a2e23"],
+      "rle": "3*0 3*1 3*0 1*0 3*1 1*2 3*1 1*0 2*1 1*2 3*1 1*2 2*1 1*1 1*2 2*1 1*2 2*1 1*2 1*1 3*1 1*2 1*1 1*2 3*1 1*0 1*1 1*2 1*1 1*3 1*1 1*2 1*1 1*0 2*0 1*3 1*0 1*3 1*0 1*3 2*0"
     },
     {
       "key": "grass_tile",
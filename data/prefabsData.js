@@ -0,0 +1,48 @@
+export default {
+  "version": 1,
+  "prefabs": [
+    {
+      "version": 1,
+      "name": "watchtower",
+      "width": 3,
+      "depth": 3,
+      "height": 5,
+      "materials": [null, "mountain", "road"],
+      "runs": [1, 1, 5, 1, 1, 4, 1, 1, 5, 1, 1, 4, 1, 2, 1, 1, 1, 4, 1, 1, 5, 1, 1, 4, 1, 1, 5],
+      "columns": null,
+      "mask": null
+    },
+    {
+      "version": 1,
+      "name": "cottage",
+      "width": 4,
+      "depth": 4,
+      "height": 2,
+      "materials": [null, "urban", "road"],
+      "runs": [1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 2, 1],
+      "columns": null,
+      "mask": null
+    },
+    {
+      "version": 1,
+      "name": "grove",
+      "width": 5,
+      "depth": 5,
+      "height": 1,
+      "materials": [null, "forest"],
+      "runs": [-1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1],
+      "columns": [
+        [2, { "spriteKey": "tree7x7" }],
+        [6, { "spriteKey": "tree7x7" }],
+        [8, { "spriteKey": "tree7x7" }],
+        [10, { "spriteKey": "tree7x7" }],
+        [12, { "spriteKey": "tree7x7" }],
+        [14, { "spriteKey": "tree7x7" }],
+        [16, { "spriteKey": "tree7x7" }],
+        [18, { "spriteKey": "tree7x7" }],
+        [22, { "spriteKey": "tree7x7" }]
+      ],
+      "mask": [1, 2, 3, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 23]
+    }
+  ]
+};
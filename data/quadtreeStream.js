@@ -0,0 +1,91 @@
+export const QUADTREE_STREAM_VERSION = 1;
+
+async function* textChunks(source) {
+  if (typeof source === 'string') {
+    yield source;
+    return;
+  }
+  const stream = source?.body && typeof source.body.getReader === 'function' ? source.body : source;
+  if (stream && typeof stream.getReader === 'function') {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        yield typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+      }
+      const rest = decoder.decode();
+      if (rest) yield rest;
+    } finally {
+      reader.releaseLock?.();
+    }
+    return;
+  }
+  if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
+    const decoder = new TextDecoder();
+    for await (const value of stream) {
+      yield typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+    }
+    const rest = decoder.decode();
+    if (rest) yield rest;
+    return;
+  }
+  throw new Error('Quadtree stream source must be a string, ReadableStream, Response or async iterable');
+}
+
+export async function readQuadtreeStream(source, { onRecord = null } = {}) {
+  const summary = { records: 0, errors: [], truncated: false };
+  let buffer = '';
+  let lineNumber = 0;
+
+  const handleLine = async (line) => {
+    lineNumber++;
+    const text = line.trim();
+    if (!text) return;
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      summary.errors.push({ line: lineNumber, message: error.message });
+      return;
+    }
+    summary.records++;
+    if (onRecord) {
+      await onRecord(record, lineNumber);
+    }
+  };
+
+  for await (const chunk of textChunks(source)) {
+    buffer += chunk;
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      await handleLine(line);
+      newline = buffer.indexOf('\n');
+    }
+  }
+
+  const tail = buffer.trim();
+  if (tail) {
+    try {
+      JSON.parse(tail);
+    } catch (error) {
+      summary.truncated = true;
+      return summary;
+    }
+    await handleLine(tail);
+  }
+  return summary;
+}
+
+export function writeQuadtreeStream(header, nodes = []) {
+  const { type: headerType, ...headerFields } = header || {};
+  const lines = [JSON.stringify({ type: 'header', version: QUADTREE_STREAM_VERSION, ...headerFields })];
+  for (const node of nodes) {
+    const { type, ...fields } = node;
+    lines.push(JSON.stringify({ type: 'node', ...fields }));
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,236 @@
+const EPSILON = 1e-9;
+const POLYGON_KEYS = ['poly', 'polygon'];
+
+function roundCoord(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function toPoint(x, y) {
+  return { x: roundCoord(x), y: roundCoord(y) };
+}
+
+function isValidPoint(point) {
+  return point && Number.isFinite(point.x) && Number.isFinite(point.y);
+}
+
+function clipRingToRect(ring, rect) {
+  const edges = [
+    [(p) => p.x >= rect.minX, (a, b) => { const t = (rect.minX - a.x) / (b.x - a.x); return { x: rect.minX, y: a.y + (b.y - a.y) * t }; }],
+    [(p) => p.x <= rect.maxX, (a, b) => { const t = (rect.maxX - a.x) / (b.x - a.x); return { x: rect.maxX, y: a.y + (b.y - a.y) * t }; }],
+    [(p) => p.y >= rect.minY, (a, b) => { const t = (rect.minY - a.y) / (b.y - a.y); return { x: a.x + (b.x - a.x) * t, y: rect.minY }; }],
+    [(p) => p.y <= rect.maxY, (a, b) => { const t = (rect.maxY - a.y) / (b.y - a.y); return { x: a.x + (b.x - a.x) * t, y: rect.maxY }; }]
+  ];
+  let output = ring.filter(isValidPoint);
+  for (const [inside, intersect] of edges) {
+    if (output.length === 0) break;
+    const input = output;
+    output = [];
+    for (let i = 0; i < input.length; i++) {
+      const current = input[i];
+      const previous = input[(i + input.length - 1) % input.length];
+      if (inside(current)) {
+        if (!inside(previous)) {
+          output.push(intersect(previous, current));
+        }
+        output.push(current);
+      } else if (inside(previous)) {
+        output.push(intersect(previous, current));
+      }
+    }
+  }
+  const points = [];
+  for (const point of output) {
+    const rounded = toPoint(point.x, point.y);
+    const last = points[points.length - 1];
+    if (!last || last.x !== rounded.x || last.y !== rounded.y) {
+      points.push(rounded);
+    }
+  }
+  if (points.length > 1) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first.x === last.x && first.y === last.y) {
+      points.pop();
+    }
+  }
+  return points.length >= 3 ? points : null;
+}
+
+function clipSegmentToRect(a, b, rect) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+  const checks = [
+    [-dx, a.x - rect.minX],
+    [dx, rect.maxX - a.x],
+    [-dy, a.y - rect.minY],
+    [dy, rect.maxY - a.y]
+  ];
+  for (const [p, q] of checks) {
+    if (Math.abs(p) < EPSILON) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return null;
+      if (t > t0) t0 = t;
+    } else {
+      if (t < t0) return null;
+      if (t < t1) t1 = t;
+    }
+  }
+  return {
+    start: toPoint(a.x + dx * t0, a.y + dy * t0),
+    end: toPoint(a.x + dx * t1, a.y + dy * t1),
+    clippedEnd: t1 < 1
+  };
+}
+
+function clipLineToRect(line, rect) {
+  const points = line.filter(isValidPoint);
+  const pieces = [];
+  let current = null;
+  for (let i = 1; i < points.length; i++) {
+    const segment = clipSegmentToRect(points[i - 1], points[i], rect);
+    if (!segment) {
+      current = null;
+      continue;
+    }
+    const last = current?.[current.length - 1];
+    if (!last || last.x !== segment.start.x || last.y !== segment.start.y) {
+      current = [segment.start];
+      pieces.push(current);
+    }
+    if (segment.end.x !== segment.start.x || segment.end.y !== segment.start.y) {
+      current.push(segment.end);
+    }
+    if (segment.clippedEnd) {
+      current = null;
+    }
+  }
+  return pieces.filter(piece => piece.length >= 2);
+}
+
+export function rectsOverlap(a, b) {
+  return a.minX < b.maxX - EPSILON && a.maxX > b.minX + EPSILON &&
+    a.minY < b.maxY - EPSILON && a.maxY > b.minY + EPSILON;
+}
+
+export function intersectRects(a, b) {
+  if (!rectsOverlap(a, b)) {
+    return null;
+  }
+  return {
+    minX: Math.max(a.minX, b.minX),
+    minY: Math.max(a.minY, b.minY),
+    maxX: Math.min(a.maxX, b.maxX),
+    maxY: Math.min(a.maxY, b.maxY)
+  };
+}
+
+export function subtractRect(region, cut) {
+  const result = [];
+  for (const rect of region) {
+    const overlap = intersectRects(rect, cut);
+    if (!overlap) {
+      result.push(rect);
+      continue;
+    }
+    const pieces = [
+      { minX: rect.minX, minY: rect.minY, maxX: rect.maxX, maxY: overlap.minY },
+      { minX: rect.minX, minY: overlap.maxY, maxX: rect.maxX, maxY: rect.maxY },
+      { minX: rect.minX, minY: overlap.minY, maxX: overlap.minX, maxY: overlap.maxY },
+      { minX: overlap.maxX, minY: overlap.minY, maxX: rect.maxX, maxY: overlap.maxY }
+    ];
+    for (const piece of pieces) {
+      if (piece.maxX - piece.minX > EPSILON && piece.maxY - piece.minY > EPSILON) {
+        result.push(piece);
+      }
+    }
+  }
+  return result;
+}
+
+export function regionContainsPoint(region, x, y) {
+  return region.some(rect => x >= rect.minX && x < rect.maxX && y >= rect.minY && y < rect.maxY);
+}
+
+export function featureBounds(feature) {
+  const rings = [];
+  for (const key of ['line', ...POLYGON_KEYS]) {
+    if (Array.isArray(feature?.[key])) rings.push(feature[key]);
+  }
+  for (const key of ['lines', 'polygons']) {
+    if (Array.isArray(feature?.[key])) rings.push(...feature[key].filter(Array.isArray));
+  }
+  let bounds = null;
+  for (const ring of rings) {
+    for (const point of ring) {
+      if (!isValidPoint(point)) continue;
+      if (!bounds) {
+        bounds = { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y };
+        continue;
+      }
+      bounds.minX = Math.min(bounds.minX, point.x);
+      bounds.minY = Math.min(bounds.minY, point.y);
+      bounds.maxX = Math.max(bounds.maxX, point.x);
+      bounds.maxY = Math.max(bounds.maxY, point.y);
+    }
+  }
+  return bounds;
+}
+
+export function clipFeatureToRegion(feature, region) {
+  if (!feature || !Array.isArray(region) || region.length === 0) {
+    return null;
+  }
+  const clipped = { ...feature };
+  let lines = [];
+  let polygons = [];
+  let polygonKey = null;
+  const lineSources = [];
+  if (Array.isArray(feature.line)) lineSources.push(feature.line);
+  if (Array.isArray(feature.lines)) lineSources.push(...feature.lines.filter(Array.isArray));
+  const ringSources = [];
+  for (const key of POLYGON_KEYS) {
+    if (Array.isArray(feature[key])) {
+      ringSources.push(feature[key]);
+      polygonKey = polygonKey || key;
+    }
+  }
+  if (Array.isArray(feature.polygons)) ringSources.push(...feature.polygons.filter(Array.isArray));
+  if (!lineSources.length && !ringSources.length) {
+    return null;
+  }
+  for (const rect of region) {
+    for (const line of lineSources) {
+      lines = lines.concat(clipLineToRect(line, rect));
+    }
+    for (const ring of ringSources) {
+      const piece = clipRingToRect(ring, rect);
+      if (piece) polygons.push(piece);
+    }
+  }
+  if (!lines.length && !polygons.length) {
+    return null;
+  }
+  delete clipped.line;
+  delete clipped.lines;
+  delete clipped.polygons;
+  for (const key of POLYGON_KEYS) {
+    delete clipped[key];
+  }
+  if (lines.length === 1) {
+    clipped.line = lines[0];
+  } else if (lines.length > 1) {
+    clipped.lines = lines;
+  }
+  if (polygons.length === 1) {
+    clipped[polygonKey || 'polygons'] = polygonKey ? polygons[0] : polygons;
+  } else if (polygons.length > 1) {
+    clipped.polygons = polygons;
+  }
+  return clipped;
+}
@@ -0,0 +1,131 @@
+const DEFAULT_DB_NAME = 'tileset-cache';
+const DEFAULT_STORE_NAME = 'tiles';
+
+function cloneRecord(record) {
+  if (record == null) {
+    return null;
+  }
+  return typeof structuredClone === 'function'
+    ? structuredClone(record)
+    : JSON.parse(JSON.stringify(record));
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyTransaction(transaction, request) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error ?? request.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction aborted'));
+  });
+}
+
+export class MemoryTileStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return cloneRecord(this.records.get(key));
+  }
+
+  async put(key, record) {
+    this.records.set(key, cloneRecord(record));
+  }
+
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  async keys() {
+    return [...this.records.keys()];
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+export class IndexedDBTileStore {
+  constructor({ name = DEFAULT_DB_NAME, storeName = DEFAULT_STORE_NAME, indexedDB = globalThis.indexedDB } = {}) {
+    if (!IndexedDBTileStore.isSupported(indexedDB)) {
+      throw new Error('IndexedDB is not available');
+    }
+    this.name = name;
+    this.storeName = storeName;
+    this.indexedDB = indexedDB;
+    this._db = null;
+  }
+
+  static isSupported(indexedDB = globalThis.indexedDB) {
+    return typeof indexedDB?.open === 'function';
+  }
+
+  async get(key) {
+    const record = await this._run('readonly', store => store.get(key));
+    return record ?? null;
+  }
+
+  async put(key, record) {
+    await this._run('readwrite', store => store.put(record, key));
+  }
+
+  async delete(key) {
+    await this._run('readwrite', store => store.delete(key));
+    return true;
+  }
+
+  async keys() {
+    return this._run('readonly', store => store.getAllKeys());
+  }
+
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+
+  async close() {
+    if (!this._db) return;
+    const db = await this._db.catch(() => null);
+    db?.close();
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    return this._db;
+  }
+
+  async _run(mode, action) {
+    const db = await this._open();
+    const transaction = db.transaction(this.storeName, mode);
+    const request = action(transaction.objectStore(this.storeName));
+    return mode === 'readwrite' ? promisifyTransaction(transaction, request) : promisifyRequest(request);
+  }
+}
+
+export function createTileStore({ indexedDB = globalThis.indexedDB, name, storeName } = {}) {
+  if (IndexedDBTileStore.isSupported(indexedDB)) {
+    return new IndexedDBTileStore({ name, storeName, indexedDB });
+  }
+  return new MemoryTileStore();
+}
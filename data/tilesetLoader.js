@@ -1,5 +1,24 @@
+import { QUADTREE_STREAM_VERSION, readQuadtreeStream, writeQuadtreeStream } from './quadtreeStream.js';
+import { clipFeatureToRegion, featureBounds, intersectRects, regionContainsPoint, subtractRect } from './tileClipping.js';
+
 const DEFAULT_BASE_URL = './data';
 const INDEX_PATH = 'quadtree/index.json';
+const STORE_INDEX_KEY = 'index';
+const STORE_TILE_PREFIX = 'tile:';
+const PAYLOAD_LAYERS = ['terrainPatches', 'vector', 'parcels', 'buildings'];
+const DEFAULT_CACHE_BUDGET = 8 * 1024 * 1024;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function compareContributions(a, b) {
+  return (b.procedural - a.procedural) || a.lod - b.lod || a.tileKey.localeCompare(b.tileKey);
+}
+
+function compareTilePriority(a, b) {
+  return b.coverage - a.coverage || a.lod - b.lod || a.distance - b.distance;
+}
 
 function hashString(seed, value) {
   let hash = seed >>> 0;
@@ -35,9 +54,26 @@ function cloneFeature(feature) {
   if (Array.isArray(feature.polygon)) {
     cloned.polygon = feature.polygon.map(point => ({ x: point.x, y: point.y }));
   }
+  if (Array.isArray(feature.lines)) {
+    cloned.lines = feature.lines.map(line => line.map(point => ({ x: point.x, y: point.y })));
+  }
+  if (Array.isArray(feature.polygons)) {
+    cloned.polygons = feature.polygons.map(ring => ring.map(point => ({ x: point.x, y: point.y })));
+  }
   return cloned;
 }
 
+function boundsTouch(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+function indexFeatures(features) {
+  return (Array.isArray(features) ? features : [])
+    .filter(Boolean)
+    .map(feature => ({ feature, bounds: featureBounds(feature) }))
+    .filter(entry => entry.bounds);
+}
+
 function cloneProperties(value) {
   if (value === null || typeof value !== 'object') {
     return value;
@@ -74,7 +110,11 @@ export class TilesetLoader {
     voxelWorld,
     worldSeed = 0,
     onTileHydrated = null,
-    editor = null
+    editor = null,
+    maxConcurrent = 4,
+    lodBias = 0.5,
+    cacheBudgetBytes = DEFAULT_CACHE_BUDGET,
+    tileStore = null
   } = {}) {
     this.baseUrl = baseUrl.replace(/\/?$/, '/');
     this.fetchImpl = fetchImpl;
@@ -83,26 +123,61 @@ export class TilesetLoader {
     this.worldSeed = worldSeed >>> 0;
     this.onTileHydrated = typeof onTileHydrated === 'function' ? onTileHydrated : null;
     this.editor = editor || null;
+    this.tileStore = tileStore || null;
+    this.maxConcurrent = Math.max(1, Math.floor(maxConcurrent) || 1);
+    this.lodBias = Number.isFinite(lodBias) ? lodBias : 0.5;
+    this.cacheBudgetBytes = Math.max(0, Number.isFinite(cacheBudgetBytes) ? cacheBudgetBytes : DEFAULT_CACHE_BUDGET);
 
     this.index = null;
+    this.indexSource = null;
     this.cache = new Map();
     this.inFlight = new Map();
+    this.requests = new Map();
+    this.queue = [];
+    this.wanted = new Map();
+    this.provenance = new Map();
+    this.chunkSources = new Map();
+    this.chunkBaselines = new Map();
+    this.tileBytes = new Map();
+    this.cacheBytes = 0;
+    this.streamStats = { lod: null, cancelled: 0, failed: 0 };
+    this.cacheStats = { hits: 0, misses: 0, evictions: 0 };
     this.defaultTerrainKey = null;
+    this._viewSignature = null;
   }
 
   async bootstrap() {
     if (this.index) {
       return this.index;
     }
-    const response = await this.fetchImpl(`${this.baseUrl}${INDEX_PATH}`);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch tileset index: ${response.status} ${response.statusText}`);
+    let index;
+    try {
+      const response = await this.fetchImpl(`${this.baseUrl}${INDEX_PATH}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch tileset index: ${response.status} ${response.statusText}`);
+      }
+      index = await response.json();
+      this.indexSource = 'network';
+      await this._storePut(STORE_INDEX_KEY, {
+        version: index?.version ?? null,
+        etag: response.headers?.get?.('ETag') ?? null,
+        storedAt: Date.now(),
+        data: index
+      });
+    } catch (error) {
+      const stored = await this._storeGet(STORE_INDEX_KEY);
+      if (!stored?.data) {
+        throw error;
+      }
+      index = stored.data;
+      this.indexSource = 'cache';
     }
-    this.index = await response.json();
+    this.index = index;
     this.defaultTerrainKey = this.index?.layers?.terrain?.default || this.palette?.defaultTileKey || null;
     if (this.voxelWorld && this.index?.root) {
       await this.ensureTile(this.index.root.lod, this.index.root.x, this.index.root.y);
     }
+    await this._pruneStore(this.index?.version ?? null);
     return this.index;
   }
 
@@ -112,11 +187,14 @@ export class TilesetLoader {
 
   attachVoxelWorld(voxelWorld, { rehydrate = true } = {}) {
     this.voxelWorld = voxelWorld || null;
+    this.provenance.clear();
+    this.chunkSources.clear();
+    this.chunkBaselines.clear();
     if (!this.voxelWorld || !rehydrate) {
       return;
     }
     for (const tile of this.cache.values()) {
-      this._hydrateVoxelChunk(tile);
+      this._hydrateVoxelTile(tile);
     }
   }
 
@@ -130,101 +208,657 @@ export class TilesetLoader {
     return tile;
   }
 
-  async loadTile(lod, x, y, { hydrate = true } = {}) {
+  async loadTile(lod, x, y, { hydrate = true, cancellable = false } = {}) {
     const key = this._tileKey(lod, x, y);
     if (this.cache.has(key)) {
       const cached = this.cache.get(key);
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      this.cacheStats.hits++;
       if (hydrate) {
         await this._hydrateTile(cached);
       }
       return cached;
     }
     if (this.inFlight.has(key)) {
+      const request = this.requests.get(key);
+      if (request && !cancellable) {
+        request.cancellable = false;
+      }
       const pending = await this.inFlight.get(key);
       if (hydrate) {
         await this._hydrateTile(pending);
       }
       return pending;
     }
-    const promise = this._fetchTile(lod, x, y)
-      .catch(() => this._generateProceduralTile(lod, x, y))
+    this.cacheStats.misses++;
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    this.requests.set(key, { controller, cancellable });
+    const promise = this._fetchTile(lod, x, y, { signal: controller?.signal })
+      .catch((error) => {
+        if (controller?.signal.aborted) {
+          throw error;
+        }
+        return this._generateProceduralTile(lod, x, y);
+      })
       .then(async (tile) => {
-        this.cache.set(key, tile);
+        this._storeTile(key, tile);
         if (hydrate) {
           await this._hydrateTile(tile);
         }
+        this._enforceCacheBudget(key);
         return tile;
       })
       .finally(() => {
         this.inFlight.delete(key);
+        this.requests.delete(key);
       });
     this.inFlight.set(key, promise);
     return promise;
   }
 
-  async _fetchTile(lod, x, y) {
+  lodForZoom(zoom) {
+    const { min, max } = this._lodRange();
+    if (!Number.isFinite(zoom)) {
+      return min;
+    }
+    return clamp(Math.floor(zoom + this.lodBias), min, max);
+  }
+
+  tilesForView(view, zoom = view?.zoom) {
+    const bounds = this.index?.bounds;
+    if (!view || !bounds) {
+      return [];
+    }
+    const left = Math.max(view.left, bounds.minX);
+    const top = Math.max(view.top, bounds.minY);
+    const right = Math.min(view.right, bounds.maxX);
+    const bottom = Math.min(view.bottom, bounds.maxY);
+    if (!(right > left) || !(bottom > top)) {
+      return [];
+    }
+    const viewArea = Math.max((view.right - view.left) * (view.bottom - view.top), 1e-9);
+    const centerX = (view.left + view.right) / 2;
+    const centerY = (view.top + view.bottom) / 2;
+    const { min } = this._lodRange();
+    const targetLod = this.lodForZoom(zoom);
+    const tiles = [];
+    for (let lod = min; lod <= targetLod; lod++) {
+      const range = this._tileRangeForBounds(lod, { left, top, right, bottom });
+      for (let y = range.minY; y <= range.maxY; y++) {
+        for (let x = range.minX; x <= range.maxX; x++) {
+          const tileBounds = this._boundsForTile(lod, x, y);
+          const overlapX = Math.min(right, tileBounds.maxX) - Math.max(left, tileBounds.minX);
+          const overlapY = Math.min(bottom, tileBounds.maxY) - Math.max(top, tileBounds.minY);
+          if (overlapX <= 0 || overlapY <= 0) continue;
+          tiles.push({
+            key: this._tileKey(lod, x, y),
+            lod,
+            x,
+            y,
+            coverage: (overlapX * overlapY) / viewArea,
+            distance: Math.hypot(
+              (tileBounds.minX + tileBounds.maxX) / 2 - centerX,
+              (tileBounds.minY + tileBounds.maxY) / 2 - centerY
+            )
+          });
+        }
+      }
+    }
+    tiles.sort(compareTilePriority);
+    return tiles;
+  }
+
+  updateView(view, zoom = view?.zoom) {
+    if (!this.index) {
+      return this.getStreamProgress();
+    }
+    const tiles = this.tilesForView(view, zoom);
+    const signature = tiles.map(tile => tile.key).join('|');
+    if (signature === this._viewSignature) {
+      return this.getStreamProgress();
+    }
+    this._viewSignature = signature;
+    this.wanted = new Map(tiles.map(tile => [tile.key, tile]));
+    this.streamStats.lod = tiles.length ? this.lodForZoom(zoom) : null;
+    for (const tile of this.queue) {
+      if (!this.wanted.has(tile.key)) {
+        this.streamStats.cancelled++;
+      }
+    }
+    for (const [key, request] of this.requests) {
+      if (request.cancellable && !this.wanted.has(key) && request.controller) {
+        request.controller.abort();
+        this.streamStats.cancelled++;
+      }
+    }
+    this.queue = tiles.filter(tile => !this.cache.has(tile.key) && !this.inFlight.has(tile.key));
+    this._pumpQueue();
+    this._enforceCacheBudget();
+    return this.getStreamProgress();
+  }
+
+  evictTile(lod, x, y, { force = false } = {}) {
+    const key = this._tileKey(lod, x, y);
+    if (!this.cache.has(key) || (!force && this._isTilePinned(key))) {
+      return false;
+    }
+    this._evictTile(key);
+    return true;
+  }
+
+  getCacheStats() {
+    let pinned = 0;
+    const sources = { network: 0, cache: 0, stream: 0, procedural: 0 };
+    for (const [key, tile] of this.cache) {
+      if (this._isTilePinned(key)) pinned++;
+      const source = tile.metadata?.source;
+      if (source in sources) sources[source]++;
+    }
+    return {
+      tiles: this.cache.size,
+      bytes: this.cacheBytes,
+      budget: this.cacheBudgetBytes,
+      pinned,
+      hydrated: this.provenance.size,
+      hits: this.cacheStats.hits,
+      misses: this.cacheStats.misses,
+      evictions: this.cacheStats.evictions,
+      sources,
+      indexSource: this.indexSource
+    };
+  }
+
+  _isTilePinned(key) {
+    if (this.wanted.has(key)) {
+      return true;
+    }
+    const chunkIds = this.provenance.get(key)?.chunkIds;
+    return Boolean(this.editor && chunkIds?.some(chunkId => this.editor.hasEdits(chunkId)));
+  }
+
+  _enforceCacheBudget(keep = null) {
+    if (this.cacheBytes <= this.cacheBudgetBytes) {
+      return;
+    }
+    for (const key of [...this.cache.keys()]) {
+      if (this.cacheBytes <= this.cacheBudgetBytes) break;
+      if (key === keep || this._isTilePinned(key)) continue;
+      this._evictTile(key);
+    }
+  }
+
+  _evictTile(key) {
+    this._dehydrateTile(key);
+    this.cacheBytes -= this.tileBytes.get(key) || 0;
+    this.tileBytes.delete(key);
+    this.cache.delete(key);
+    this.cacheStats.evictions++;
+  }
+
+  _dehydrateTile(key) {
+    const provenance = this.provenance.get(key);
+    if (!provenance || !this.voxelWorld) {
+      return;
+    }
+    this.provenance.delete(key);
+    for (const chunkId of provenance.chunkIds) {
+      const sources = this.chunkSources.get(chunkId);
+      sources?.delete(key);
+      if (sources?.size) {
+        this._composeChunk(chunkId);
+        continue;
+      }
+      this.chunkSources.delete(chunkId);
+      this._clearChunk(chunkId);
+    }
+  }
+
+  _clearChunk(chunkId) {
+    const baseline = this.chunkBaselines.get(chunkId) ?? null;
+    this.chunkBaselines.delete(chunkId);
+    if (!this.voxelWorld.getChunkById(chunkId)) {
+      return;
+    }
+    const emptyPayload = { terrainPatches: [], vector: [], parcels: [], buildings: [] };
+    const combined = this.editor
+      ? this.editor.setSource(chunkId, emptyPayload)
+      : emptyPayload;
+    this.voxelWorld.setNodePayload(chunkId, {
+      terrain: baseline,
+      terrainPatches: combined.terrainPatches,
+      vector: combined.vector,
+      parcels: combined.parcels,
+      buildings: combined.buildings
+    });
+    this.voxelWorld.setMetadata(chunkId, { tileId: null, sourceTiles: [] });
+  }
+
+  getStreamProgress() {
+    let ready = 0;
+    for (const key of this.wanted.keys()) {
+      if (this.cache.has(key)) ready++;
+    }
+    return {
+      lod: this.streamStats.lod,
+      wanted: this.wanted.size,
+      ready,
+      queued: this.queue.length,
+      inFlight: this.inFlight.size,
+      cancelled: this.streamStats.cancelled,
+      failed: this.streamStats.failed
+    };
+  }
+
+  async loadStream(source, { hydrate = true, yieldEvery = 16 } = {}) {
+    const result = { header: null, nodes: 0, errors: [], truncated: false, missing: [], complete: false };
+    const received = new Set();
+    const referenced = new Set();
+    const summary = await readQuadtreeStream(source, {
+      onRecord: async (record, line) => {
+        if (record?.type === 'header') {
+          if (result.header) {
+            result.errors.push({ line, message: 'Duplicate header record' });
+            return;
+          }
+          this._applyStreamHeader(record);
+          result.header = record;
+          return;
+        }
+        if (record?.type !== 'node') {
+          result.errors.push({ line, message: `Unknown record type: ${record?.type}` });
+          return;
+        }
+        if (!result.header && !this.index) {
+          result.errors.push({ line, message: 'Node record before header' });
+          return;
+        }
+        const tile = this._tileFromNodeRecord(record);
+        if (!tile) {
+          result.errors.push({ line, message: `Invalid node record ${record.id ?? ''}`.trim() });
+          return;
+        }
+        const key = this._tileKey(tile.lod, tile.x, tile.y);
+        this._storeTile(key, tile);
+        if (hydrate) {
+          await this._hydrateTile(tile);
+        }
+        received.add(tile.id ?? key);
+        for (const child of tile.children) {
+          referenced.add(child);
+        }
+        result.nodes++;
+        if (yieldEvery > 0 && result.nodes % yieldEvery === 0) {
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+    });
+    result.errors = [...summary.errors, ...result.errors].sort((a, b) => a.line - b.line);
+    result.truncated = summary.truncated;
+    result.missing = [...referenced].filter(id => !received.has(id));
+    result.complete = Boolean(result.header) && !result.truncated && result.missing.length === 0;
+    this._enforceCacheBudget();
+    return result;
+  }
+
+  exportStream() {
+    const bounds = this.index?.bounds;
+    if (!bounds) {
+      throw new Error('Cannot export a quadtree stream before the tileset index is loaded');
+    }
+    const tiles = [...this.cache.values()]
+      .filter(tile => !tile.procedural)
+      .sort((a, b) => a.lod - b.lod || a.y - b.y || a.x - b.x);
+    return writeQuadtreeStream({
+      version: QUADTREE_STREAM_VERSION,
+      id: this.index.id ?? null,
+      root: this.index.root?.id ?? 'root',
+      bounds: { ...bounds },
+      lodRange: { ...this._lodRange() }
+    }, tiles.map(tile => this._nodeRecordFromTile(tile)));
+  }
+
+  _applyStreamHeader(header) {
+    if (Number.isFinite(header.version) && header.version > QUADTREE_STREAM_VERSION) {
+      throw new Error(`Unsupported quadtree stream version: ${header.version}`);
+    }
+    if (this.index) {
+      return;
+    }
+    const bounds = header.bounds;
+    if (!bounds || ![bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite)) {
+      throw new Error('Quadtree stream header is missing bounds');
+    }
+    this.index = {
+      version: header.version ?? QUADTREE_STREAM_VERSION,
+      id: header.id ?? header.root ?? 'tileset',
+      bounds: { minX: bounds.minX, minY: bounds.minY, maxX: bounds.maxX, maxY: bounds.maxY },
+      lodRange: header.lodRange ? { ...header.lodRange } : undefined,
+      layers: header.layers ? cloneProperties(header.layers) : undefined,
+      root: { lod: 0, x: 0, y: 0, id: header.root ?? 'root' }
+    };
+    this.defaultTerrainKey = this.index.layers?.terrain?.default || this.palette?.defaultTileKey || null;
+  }
+
+  _tileFromNodeRecord(record) {
+    const lod = record.lod;
+    const bounds = this.index?.bounds;
+    if (!Number.isInteger(lod) || lod < 0 || !bounds) {
+      return null;
+    }
+    const footprint = record.bounds;
+    const hasFootprint = footprint && [footprint.minX, footprint.minY, footprint.maxX, footprint.maxY].every(Number.isFinite);
+    let x = record.x;
+    let y = record.y;
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+      if (!hasFootprint) {
+        return null;
+      }
+      const divisions = 1 << lod;
+      x = Math.round((footprint.minX - bounds.minX) / ((bounds.maxX - bounds.minX) / divisions));
+      y = Math.round((bounds.maxY - footprint.maxY) / ((bounds.maxY - bounds.minY) / divisions));
+    }
+    const payload = record.payloadRefs || {};
+    const terrainKey = typeof payload.terrain === 'string'
+      ? payload.terrain
+      : this.palette?.byId?.[payload.terrain]?.key ?? null;
+    const layers = record.layers ? cloneProperties(record.layers) : {
+      terrain: {
+        ...(terrainKey ? { tileKey: terrainKey } : {}),
+        patches: Array.isArray(payload.terrainPatches) ? payload.terrainPatches.map(cloneFeature) : []
+      },
+      vectors: { features: (payload.vector || []).map(cloneFeature).filter(Boolean) },
+      parcels: { features: (payload.parcels || []).map(cloneFeature).filter(Boolean) },
+      buildings: { features: (payload.buildings || []).map(cloneFeature).filter(Boolean) }
+    };
+    return {
+      lod,
+      x,
+      y,
+      id: record.id ?? null,
+      bounds: hasFootprint ? { ...footprint } : this._boundsForTile(lod, x, y),
+      layers,
+      children: (Array.isArray(record.children) ? record.children : [])
+        .map(child => (child && typeof child === 'object' ? child.id : child))
+        .filter(child => typeof child === 'string'),
+      metadata: { ...(record.metadata ? cloneProperties(record.metadata) : {}), source: 'stream' },
+      statistics: record.statistics ? cloneProperties(record.statistics) : undefined,
+      proceduralSeed: record.proceduralSeed
+    };
+  }
+
+  _nodeRecordFromTile(tile) {
+    const layers = tile.layers || {};
+    const { source, cachedAt, ...metadata } = tile.metadata || {};
+    return {
+      id: tile.id ?? this._tileKey(tile.lod, tile.x, tile.y),
+      lod: tile.lod,
+      x: tile.x,
+      y: tile.y,
+      bounds: this._tileFootprint(tile),
+      children: (Array.isArray(tile.children) ? tile.children : [])
+        .map(child => (child && typeof child === 'object' ? child.id : child))
+        .filter(child => typeof child === 'string'),
+      metadata: cloneProperties(metadata),
+      payloadRefs: {
+        terrain: layers.terrain?.tileKey ?? null,
+        terrainPatches: (layers.terrain?.patches || []).map(cloneFeature),
+        vector: (layers.vectors?.features || []).map(cloneFeature),
+        parcels: (layers.parcels?.features || []).map(cloneFeature),
+        buildings: (layers.buildings?.features || []).map(cloneFeature)
+      },
+      ...(tile.statistics ? { statistics: cloneProperties(tile.statistics) } : {}),
+      ...(tile.proceduralSeed != null ? { proceduralSeed: tile.proceduralSeed } : {})
+    };
+  }
+
+  _storeTile(key, tile) {
+    const bytes = JSON.stringify(tile).length * 2;
+    this.cacheBytes += bytes - (this.tileBytes.get(key) || 0);
+    this.cache.delete(key);
+    this.cache.set(key, tile);
+    this.tileBytes.set(key, bytes);
+  }
+
+  _pumpQueue() {
+    while (this.inFlight.size < this.maxConcurrent && this.queue.length) {
+      const tile = this.queue.shift();
+      if (this.cache.has(tile.key) || this.inFlight.has(tile.key)) continue;
+      this.loadTile(tile.lod, tile.x, tile.y, { cancellable: true })
+        .catch((error) => {
+          if (error?.name !== 'AbortError') {
+            this.streamStats.failed++;
+          } else if (this.wanted.has(tile.key)) {
+            this.queue.push(this.wanted.get(tile.key));
+            this.queue.sort(compareTilePriority);
+          }
+        })
+        .finally(() => this._pumpQueue());
+    }
+  }
+
+  async _fetchTile(lod, x, y, { signal } = {}) {
     const template = this.index?.tileTemplate || 'tiles/{lod}/{x}_{y}.json';
     const relativePath = template
       .replace('{lod}', lod)
       .replace('{x}', x)
       .replace('{y}', y);
     const url = `${this.baseUrl}${relativePath}`;
-    const response = await this.fetchImpl(url);
+    const storeKey = `${STORE_TILE_PREFIX}${this._tileKey(lod, x, y)}`;
+    const version = this.index?.version ?? null;
+    const stored = await this._storeGet(storeKey);
+    const cached = stored?.data && stored.version === version ? stored : null;
+    const init = {};
+    if (signal) init.signal = signal;
+    if (cached?.etag) init.headers = { 'If-None-Match': cached.etag };
+    let response;
+    try {
+      response = await this.fetchImpl(url, Object.keys(init).length ? init : undefined);
+    } catch (error) {
+      if (signal?.aborted || !cached) {
+        throw error;
+      }
+      return this._tileFromStore(cached, lod, x, y);
+    }
+    if (response.status === 304 && cached) {
+      return this._tileFromStore(cached, lod, x, y);
+    }
     if (!response.ok) {
+      if (cached) {
+        return this._tileFromStore(cached, lod, x, y);
+      }
       throw new Error(`Failed to fetch tile ${lod}/${x}/${y}: ${response.status}`);
     }
     const tile = await response.json();
     if (typeof tile.lod !== 'number') tile.lod = lod;
     if (typeof tile.x !== 'number') tile.x = x;
     if (typeof tile.y !== 'number') tile.y = y;
+    await this._storePut(storeKey, {
+      version,
+      etag: response.headers?.get?.('ETag') ?? null,
+      storedAt: Date.now(),
+      data: tile
+    });
+    tile.metadata = { ...tile.metadata, source: 'network' };
+    return tile;
+  }
+
+  _tileFromStore(record, lod, x, y) {
+    const tile = record.data;
+    if (typeof tile.lod !== 'number') tile.lod = lod;
+    if (typeof tile.x !== 'number') tile.x = x;
+    if (typeof tile.y !== 'number') tile.y = y;
+    tile.metadata = { ...tile.metadata, source: 'cache', cachedAt: record.storedAt ?? null };
     return tile;
   }
 
+  async _storeGet(key) {
+    if (!this.tileStore) {
+      return null;
+    }
+    try {
+      return await this.tileStore.get(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async _pruneStore(version) {
+    if (!this.tileStore) {
+      return 0;
+    }
+    let pruned = 0;
+    try {
+      for (const key of await this.tileStore.keys()) {
+        if (typeof key !== 'string' || !key.startsWith(STORE_TILE_PREFIX)) continue;
+        const record = await this.tileStore.get(key);
+        if ((record?.version ?? null) !== version) {
+          await this.tileStore.delete(key);
+          pruned++;
+        }
+      }
+    } catch (error) {
+      return pruned;
+    }
+    return pruned;
+  }
+
+  async _storePut(key, record) {
+    if (!this.tileStore) {
+      return false;
+    }
+    try {
+      await this.tileStore.put(key, record);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   async _hydrateTile(tile) {
     if (!tile) return;
     if (this.voxelWorld) {
-      this._hydrateVoxelChunk(tile);
+      this._hydrateVoxelTile(tile);
     }
     if (this.onTileHydrated) {
       await this.onTileHydrated(tile);
     }
   }
 
-  _hydrateVoxelChunk(tile) {
-    const node = this.voxelWorld.ensureNodeForTile(tile.lod ?? 0, tile.x ?? 0, tile.y ?? 0);
+  getTileChunks(lod, x, y) {
+    return [...(this.provenance.get(this._tileKey(lod, x, y))?.chunkIds || [])];
+  }
+
+  getChunkTiles(chunkId) {
+    const sources = this.chunkSources.get(chunkId);
+    return sources ? [...sources.values()].sort(compareContributions).map(source => source.tileKey) : [];
+  }
+
+  _hydrateVoxelTile(tile) {
+    const lod = tile.lod ?? 0;
+    const key = this._tileKey(lod, tile.x ?? 0, tile.y ?? 0);
+    const previous = this.provenance.get(key);
+    if (previous?.tile === tile) {
+      return;
+    }
+    const footprint = this._tileFootprint(tile);
     const terrainLayer = cloneTerrainLayer(tile.layers?.terrain);
-    const terrainKey = terrainLayer?.tileKey || this._randomTerrainKey(tile);
-    const terrainId = this._resolveTerrainId(terrainKey);
-    const vectorFeatures = (tile.layers?.vectors?.features || []).map(cloneFeature).filter(Boolean);
-    const parcelFeatures = (tile.layers?.parcels?.features || []).map(cloneFeature).filter(Boolean);
-    const buildingFeatures = (tile.layers?.buildings?.features || []).map(cloneFeature).filter(Boolean);
-    const terrainPatches = cloneTerrainLayer({ patches: terrainLayer?.patches || [] })?.patches || [];
-    const sourcePayload = {
-      terrainPatches,
-      vector: vectorFeatures,
-      parcels: parcelFeatures,
-      buildings: buildingFeatures
+    const layers = {
+      terrainPatches: indexFeatures(terrainLayer?.patches),
+      vector: indexFeatures(tile.layers?.vectors?.features),
+      parcels: indexFeatures(tile.layers?.parcels?.features),
+      buildings: indexFeatures(tile.layers?.buildings?.features)
     };
+    const chunkIds = [];
+    for (const chunk of this.voxelWorld.ensureNodesForBounds(footprint)) {
+      const rect = chunk ? intersectRects(footprint, chunk.bounds) : null;
+      if (!rect) continue;
+      const contribution = {
+        tileKey: key,
+        tile,
+        lod,
+        procedural: tile.procedural === true,
+        rect,
+        terrainKey: terrainLayer?.tileKey || this._randomTerrainKey(tile),
+        terrainLayer
+      };
+      for (const layer of PAYLOAD_LAYERS) {
+        contribution[layer] = layers[layer]
+          .filter(entry => boundsTouch(entry.bounds, rect))
+          .map(entry => entry.feature);
+      }
+      if (!this.chunkSources.has(chunk.id)) {
+        this.chunkSources.set(chunk.id, new Map());
+        this.chunkBaselines.set(chunk.id, chunk.payloadRefs.terrain ?? null);
+      }
+      this.chunkSources.get(chunk.id).set(key, contribution);
+      chunkIds.push(chunk.id);
+    }
+    const affected = new Set(chunkIds);
+    for (const chunkId of previous?.chunkIds || []) {
+      if (affected.has(chunkId)) continue;
+      this.chunkSources.get(chunkId)?.delete(key);
+      affected.add(chunkId);
+    }
+    this.provenance.set(key, { tile, chunkIds });
+    for (const chunkId of affected) {
+      this._composeChunk(chunkId);
+    }
+  }
+
+  _composeChunk(chunkId) {
+    const chunk = this.voxelWorld.getChunkById(chunkId);
+    const sources = this.chunkSources.get(chunkId);
+    if (!chunk || !sources?.size) {
+      return;
+    }
+    const ordered = [...sources.values()].sort(compareContributions);
+    const centerX = (chunk.bounds.minX + chunk.bounds.maxX) / 2;
+    const centerY = (chunk.bounds.minY + chunk.bounds.maxY) / 2;
+    const sourcePayload = { terrainPatches: [], vector: [], parcels: [], buildings: [] };
+    let base = null;
+    ordered.forEach((source, index) => {
+      let region = [source.rect];
+      for (const later of ordered.slice(index + 1)) {
+        region = subtractRect(region, later.rect);
+        if (!region.length) return;
+      }
+      if (regionContainsPoint(region, centerX, centerY)) {
+        base = source;
+      }
+      for (const layer of PAYLOAD_LAYERS) {
+        for (const feature of source[layer]) {
+          const clipped = clipFeatureToRegion(feature, region);
+          if (clipped) {
+            sourcePayload[layer].push(cloneFeature(clipped));
+          }
+        }
+      }
+    });
+    base = base || ordered[ordered.length - 1];
+    const tile = base.tile;
     const combined = this.editor
-      ? this.editor.setSource(node.id, sourcePayload)
+      ? this.editor.setSource(chunk.id, sourcePayload)
       : sourcePayload;
 
-    this.voxelWorld.setNodePayload(node.id, {
-      terrain: terrainId,
+    this.voxelWorld.setNodePayload(chunk.id, {
+      terrain: this._resolveTerrainId(base.terrainKey),
       terrainPatches: combined.terrainPatches,
       vector: combined.vector,
       parcels: combined.parcels,
       buildings: combined.buildings
     });
 
-    const terrainMetadataSource = terrainLayer
-      ? { ...terrainLayer, patches: combined.terrainPatches }
-      : { tileKey: terrainKey, patches: combined.terrainPatches };
+    const terrainMetadataSource = base.terrainLayer
+      ? { ...base.terrainLayer, patches: combined.terrainPatches }
+      : { tileKey: base.terrainKey, patches: combined.terrainPatches };
     const metadata = {
       ...tile.metadata,
       tileId: tile.id ?? null,
       lod: tile.lod,
       position: { lod: tile.lod, x: tile.x, y: tile.y },
+      sourceTiles: ordered.map(source => source.tileKey),
+      cachedAt: tile.metadata?.cachedAt ?? null,
       layers: {
         terrain: cloneTerrainLayer(terrainMetadataSource),
         vectors: tile.layers?.vectors ? { ...tile.layers.vectors } : null,
@@ -234,10 +868,19 @@ export class TilesetLoader {
       statistics: tile.statistics ? { ...tile.statistics } : null,
       proceduralSeed: tile.proceduralSeed || this._tileSeed(tile.lod, tile.x, tile.y)
     };
-    this.voxelWorld.setMetadata(node.id, metadata);
+    this.voxelWorld.setMetadata(chunk.id, metadata);
     if (this.editor) {
-      this.editor.setMetadataSource(node.id, metadata);
+      this.editor.setMetadataSource(chunk.id, metadata);
+    }
+  }
+
+  _tileFootprint(tile) {
+    const bounds = tile.bounds;
+    if (bounds && [bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite) &&
+      bounds.maxX > bounds.minX && bounds.maxY > bounds.minY) {
+      return { minX: bounds.minX, minY: bounds.minY, maxX: bounds.maxX, maxY: bounds.maxY };
     }
+    return this._boundsForTile(tile.lod ?? 0, tile.x ?? 0, tile.y ?? 0);
   }
 
   _randomTerrainKey(tile) {
@@ -270,6 +913,27 @@ export class TilesetLoader {
       : null;
   }
 
+  _lodRange() {
+    const rootLod = this.index?.root?.lod ?? 0;
+    const min = Number.isInteger(this.index?.lodRange?.min) ? this.index.lodRange.min : rootLod;
+    const max = Number.isInteger(this.index?.lodRange?.max) ? this.index.lodRange.max : min;
+    return { min, max: Math.max(min, max) };
+  }
+
+  _tileRangeForBounds(lod, { left, top, right, bottom }) {
+    const bounds = this.index.bounds;
+    const divisions = 1 << lod;
+    const tileWidth = (bounds.maxX - bounds.minX) / divisions;
+    const tileHeight = (bounds.maxY - bounds.minY) / divisions;
+    const last = divisions - 1;
+    return {
+      minX: clamp(Math.floor((left - bounds.minX) / tileWidth), 0, last),
+      maxX: clamp(Math.ceil((right - bounds.minX) / tileWidth) - 1, 0, last),
+      minY: clamp(Math.floor((bounds.maxY - bottom) / tileHeight), 0, last),
+      maxY: clamp(Math.ceil((bounds.maxY - top) / tileHeight) - 1, 0, last)
+    };
+  }
+
   _tileKey(lod, x, y) {
     return `${lod}/${x}_${y}`;
   }
@@ -295,6 +959,8 @@ export class TilesetLoader {
         buildings: { features: [] }
       },
       children: [],
+      metadata: { source: 'procedural' },
+      procedural: true,
       proceduralSeed: this._tileSeed(lod, x, y)
     };
   }
@@ -1,12 +1,31 @@
-// input.js - interaction controller for navigation and voxel authoring
+// input.js - interaction controller for navigation, voxel, cart and sprite authoring
 
-const DEFAULT_MODES = ['navigate'];
+import { getPrefabFootprint, getPrefabSize } from './world/prefabs.js';
+import { rasterizeEllipse, rasterizeLine, rasterizeRect } from './world/shapes.js';
+
+const CART_EDIT_MODE = 'cart-edit';
+const SPRITE_PAINT_MODE = 'sprite-paint';
+const DEFAULT_MODES = ['navigate', CART_EDIT_MODE, SPRITE_PAINT_MODE];
+const WAYPOINT_HANDLE_RADIUS = 7;
+const DEFAULT_SNAP_PIXELS = 12;
 
 const VOXEL_MODE_CONFIGS = {
   'voxel-paint': { action: 'paint' },
   'voxel-erase': { action: 'erase' },
   'voxel-sculpt': { action: 'sculpt' },
-  'voxel-prop': { action: 'prop' }
+  'voxel-prop': { action: 'prop' },
+  'voxel-stamp': { action: 'stamp' },
+  'voxel-fill': { action: 'fill' },
+  'voxel-lake': { action: 'lake' },
+  'voxel-line': { action: 'shape', shape: 'line' },
+  'voxel-rect': { action: 'shape', shape: 'rect' },
+  'voxel-ellipse': { action: 'shape', shape: 'ellipse' }
+};
+
+const SHAPE_RASTERIZERS = {
+  line: rasterizeLine,
+  rect: rasterizeRect,
+  ellipse: rasterizeEllipse
 };
 
 function clamp(value, min, max) {
@@ -21,6 +40,18 @@ function easeOutQuad(t) {
   return 1 - (1 - t) * (1 - t);
 }
 
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? clamp(((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq, 0, 1) : 0;
+  return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t));
+}
+
+function cloneSpriteBrush(brush) {
+  return { ...brush, variants: [...brush.variants] };
+}
+
 function cloneBrush(brush) {
   if (!brush) {
     return null;
@@ -31,7 +62,9 @@ function cloneBrush(brush) {
     material: brush.material,
     heightDelta: brush.heightDelta,
     propId: brush.propId,
-    column: brush.column
+    column: brush.column,
+    thickness: brush.thickness,
+    filled: brush.filled
   };
 }
 
@@ -55,8 +88,35 @@ export class InteractionController {
       material: materials[0] || 'grass',
       heightDelta: 1,
       propId: 'marker',
-      column: false
+      column: false,
+      thickness: 1,
+      filled: true
+    };
+
+    this.stamp = { prefab: null, rotation: 0, mirror: false };
+    this._stampCapture = null;
+    this._shapeDrag = null;
+    this._fillPreview = null;
+
+    this.cartEdit = { snap: true, snapPixels: DEFAULT_SNAP_PIXELS };
+    this.selectedAgentId = null;
+    this.selectedWaypoint = -1;
+    this._waypointDrag = null;
+
+    this.spriteBrush = {
+      radius: 12,
+      spacing: 4,
+      density: 0.6,
+      jitter: 0.8,
+      variants: ['tree7x7'],
+      scaleMin: 0.8,
+      scaleMax: 1.2,
+      animation: 'sway',
+      attach: true
     };
+    this.selectedPlacementId = null;
+    this._spriteStroke = null;
+    this._spriteHover = null;
 
     this.pointer = { id: null, x: 0, y: 0 };
     this.isPanning = false;
@@ -131,10 +191,49 @@ export class InteractionController {
     if (settings.column != null) {
       updates.column = Boolean(settings.column);
     }
+    if (settings.thickness != null && Number.isFinite(settings.thickness)) {
+      updates.thickness = clamp(Math.round(settings.thickness), 1, 32);
+    }
+    if (settings.filled != null) {
+      updates.filled = Boolean(settings.filled);
+    }
     const changed = JSON.stringify(this.voxelBrush) !== JSON.stringify(updates);
     this.voxelBrush = updates;
     if (changed) {
       this.emit('brush-change', { brush: this.getBrush() });
+      this._fillPreview = null;
+      this._updateRendererState();
+    }
+  }
+
+  getStamp() {
+    return {
+      name: this.stamp.prefab?.name ?? null,
+      rotation: this.stamp.rotation,
+      mirror: this.stamp.mirror
+    };
+  }
+
+  setStamp(settings = {}) {
+    if (!settings || typeof settings !== 'object') {
+      return;
+    }
+    const updates = { ...this.stamp };
+    if (settings.prefab !== undefined) {
+      updates.prefab = settings.prefab || null;
+    }
+    if (settings.rotation != null && Number.isFinite(settings.rotation)) {
+      updates.rotation = ((Math.round(settings.rotation) % 4) + 4) % 4;
+    }
+    if (settings.mirror != null) {
+      updates.mirror = Boolean(settings.mirror);
+    }
+    const changed = updates.prefab !== this.stamp.prefab ||
+      updates.rotation !== this.stamp.rotation ||
+      updates.mirror !== this.stamp.mirror;
+    this.stamp = updates;
+    if (changed) {
+      this.emit('stamp-change', { stamp: this.getStamp() });
       this._updateRendererState();
     }
   }
@@ -162,6 +261,15 @@ export class InteractionController {
     }
     this._voxelStrokeActive = false;
     this._voxelStrokeMode = null;
+    this._stampCapture = null;
+    this._shapeDrag = null;
+    this._fillPreview = null;
+    if (this._waypointDrag) {
+      this.world?.cancelAgentEdit?.();
+    }
+    this._waypointDrag = null;
+    this._spriteStroke = null;
+    this._spriteHover = null;
     this.isPanning = false;
     const pointerId = this.pointer.id;
     this.pointer.id = null;
@@ -181,6 +289,32 @@ export class InteractionController {
     const py = event.clientY - rect.top;
     this.pointer = { id: event.pointerId, x: px, y: py };
 
+    if (this.mode === 'voxel-stamp') {
+      if (event.button === 0) {
+        if (event.shiftKey) {
+          this._beginStampCapture(event, px, py);
+        } else {
+          this._pasteStamp(px, py);
+        }
+      }
+      return;
+    }
+
+    const action = this.voxelModes.get(this.mode)?.action;
+    if (action === 'shape') {
+      if (event.button === 0) {
+        this._beginShapeDrag(event, px, py);
+      }
+      return;
+    }
+
+    if (action === 'fill' || action === 'lake') {
+      if (event.button === 0) {
+        this._applyFillTool(event, px, py);
+      }
+      return;
+    }
+
     if (this.isEditMode()) {
       if (event.button === 0 || (this.mode === 'voxel-sculpt' && event.button === 2)) {
         this._beginVoxelStroke(event, px, py);
@@ -188,6 +322,14 @@ export class InteractionController {
       return;
     }
 
+    if (this.mode === CART_EDIT_MODE && this._cartPointerDown(event, px, py)) {
+      return;
+    }
+
+    if (this.mode === SPRITE_PAINT_MODE && this._spritePointerDown(event, px, py)) {
+      return;
+    }
+
     if (event.button === 1 || event.button === 2 || (event.button === 0 && event.altKey)) {
       this.startPanning(event);
       return;
@@ -206,6 +348,26 @@ export class InteractionController {
       return;
     }
 
+    if (this._stampCapture) {
+      this._updateStampCapture(px, py);
+      return;
+    }
+
+    if (this._shapeDrag) {
+      this._updateShapeDrag(px, py);
+      return;
+    }
+
+    if (this._waypointDrag) {
+      this._updateWaypointDrag(px, py);
+      return;
+    }
+
+    if (this._spriteStroke) {
+      this._continueSpriteStroke(px, py);
+      return;
+    }
+
     if (this.isPanning) {
       const dx = event.clientX - this.lastPanX;
       const dy = event.clientY - this.lastPanY;
@@ -215,10 +377,36 @@ export class InteractionController {
       return;
     }
 
+    if (this.mode === SPRITE_PAINT_MODE) {
+      this._spriteHover = this.screenToWorld(px, py);
+      this._updateRendererState();
+      return;
+    }
+
     this._updateVoxelHover(px, py);
   }
 
   onPointerUp(event) {
+    if (this._stampCapture && event.pointerId === this.pointer.id) {
+      this._finishStampCapture(event);
+      return;
+    }
+
+    if (this._shapeDrag && event.pointerId === this.pointer.id) {
+      this._finishShapeDrag(event);
+      return;
+    }
+
+    if (this._waypointDrag && event.pointerId === this.pointer.id) {
+      this._finishWaypointDrag(event);
+      return;
+    }
+
+    if (this._spriteStroke && event.pointerId === this.pointer.id) {
+      this._finishSpriteStroke(event);
+      return;
+    }
+
     if (this._voxelStrokeActive && event.pointerId === this.pointer.id) {
       const changed = this.world?.commitVoxelStroke?.() || false;
       if (!changed) {
@@ -270,6 +458,50 @@ export class InteractionController {
       event.preventDefault();
       return;
     }
+    if (key === 'escape' && (this._stampCapture || this._shapeDrag)) {
+      this._stampCapture = null;
+      this._shapeDrag = null;
+      this._updateRendererState();
+      event.preventDefault();
+      return;
+    }
+    if (key === 'escape' && this._waypointDrag) {
+      this.world?.cancelAgentEdit?.();
+      this._waypointDrag = null;
+      this._updateRendererState();
+      event.preventDefault();
+      return;
+    }
+    if (key === 'escape' && this._spriteStroke) {
+      this._spriteStroke = null;
+      this._updateRendererState();
+      event.preventDefault();
+      return;
+    }
+    const typing = /^(INPUT|SELECT|TEXTAREA)$/.test(event.target?.tagName || '');
+    if (this.mode === SPRITE_PAINT_MODE && !ctrlOrMeta && !typing && (key === 'delete' || key === 'backspace')) {
+      this.deleteSelectedPlacement();
+      event.preventDefault();
+      return;
+    }
+    if (this.mode === CART_EDIT_MODE && !ctrlOrMeta && !typing && (key === 'delete' || key === 'backspace')) {
+      if (this.selectedWaypoint >= 0) {
+        this.removeWaypoint(this.selectedWaypoint);
+      } else {
+        this.deleteSelectedAgent();
+      }
+      event.preventDefault();
+      return;
+    }
+    if (this.mode === 'voxel-stamp' && !ctrlOrMeta && !typing && (key === 'r' || key === 'f')) {
+      if (key === 'r') {
+        this.setStamp({ rotation: this.stamp.rotation + (event.shiftKey ? -1 : 1) });
+      } else {
+        this.setStamp({ mirror: !this.stamp.mirror });
+      }
+      event.preventDefault();
+      return;
+    }
     if (ctrlOrMeta && key === 'z') {
       if (event.shiftKey) {
         this.redoEdit();
@@ -392,9 +624,25 @@ export class InteractionController {
     this.emit('layer-toggle', { layer, visible });
   }
 
+  canUndoEdit() {
+    return this.mode === CART_EDIT_MODE
+      ? this.world?.canUndoAgentEdit?.() || false
+      : this.world?.canUndoVoxelEdit?.() || false;
+  }
+
+  canRedoEdit() {
+    return this.mode === CART_EDIT_MODE
+      ? this.world?.canRedoAgentEdit?.() || false
+      : this.world?.canRedoVoxelEdit?.() || false;
+  }
+
   undoEdit() {
+    if (this.mode === CART_EDIT_MODE) {
+      return this._applyAgentHistory('undo');
+    }
     const result = this.world?.undoVoxelEdit?.() || false;
     if (result) {
+      this._fillPreview = null;
       this.emit('voxel-undo', {});
       this._updateRendererState();
     }
@@ -402,14 +650,411 @@ export class InteractionController {
   }
 
   redoEdit() {
+    if (this.mode === CART_EDIT_MODE) {
+      return this._applyAgentHistory('redo');
+    }
     const result = this.world?.redoVoxelEdit?.() || false;
     if (result) {
+      this._fillPreview = null;
       this.emit('voxel-redo', {});
       this._updateRendererState();
     }
     return result;
   }
 
+  getSelectedAgent() {
+    return this.selectedAgentId != null ? this.world?.getAgent?.(this.selectedAgentId) || null : null;
+  }
+
+  selectAgent(agent) {
+    this.world?.agents?.forEach((other) => {
+      other.selected = other === agent;
+    });
+    this.selectedAgentId = agent ? agent.id : null;
+    this.selectedWaypoint = -1;
+    this.emit('agent-select', { agent: agent || null });
+    this._updateRendererState();
+  }
+
+  setCartEdit(settings = {}) {
+    if (typeof settings.snap === 'boolean') {
+      this.cartEdit.snap = settings.snap;
+    }
+    if (Number.isFinite(settings.snapPixels)) {
+      this.cartEdit.snapPixels = clamp(settings.snapPixels, 0, 64);
+    }
+    this.emit('cart-edit-change', { settings: { ...this.cartEdit } });
+  }
+
+  spawnCart(point, options = {}) {
+    if (!point || !this.world?.addCart) {
+      return null;
+    }
+    const start = this._snapPoint(point);
+    const cart = this.world.addCart({ position: start, path: [start], ...options }, { undoable: true });
+    this.selectAgent(cart);
+    this.selectedWaypoint = 0;
+    this._emitAgentEdit(cart, 'spawn');
+    return cart;
+  }
+
+  deleteSelectedAgent() {
+    const agent = this.getSelectedAgent();
+    if (!agent) {
+      return false;
+    }
+    this.world.removeAgent(agent, { undoable: true });
+    this.selectAgent(null);
+    this._emitAgentEdit(agent, 'delete');
+    return true;
+  }
+
+  appendWaypoint(point) {
+    const agent = this.getSelectedAgent();
+    if (!agent || !point) {
+      return -1;
+    }
+    const index = this.world.insertAgentWaypoint(agent, agent.path.length, this._snapPoint(point));
+    this.selectedWaypoint = index;
+    this._emitAgentEdit(agent, 'insert-waypoint');
+    return index;
+  }
+
+  removeWaypoint(index) {
+    const agent = this.getSelectedAgent();
+    if (!agent || !this.world.removeAgentWaypoint(agent, index)) {
+      return false;
+    }
+    this.selectedWaypoint = -1;
+    this._emitAgentEdit(agent, 'remove-waypoint');
+    return true;
+  }
+
+  setSelectedAgentProperties(properties = {}) {
+    const agent = this.getSelectedAgent();
+    if (!agent || !this.world.setAgentProperties(agent, properties)) {
+      return false;
+    }
+    this._emitAgentEdit(agent, 'properties');
+    return true;
+  }
+
+  getSpriteBrush() {
+    return cloneSpriteBrush(this.spriteBrush);
+  }
+
+  setSpriteBrush(settings = {}) {
+    if (!settings || typeof settings !== 'object') {
+      return;
+    }
+    const updates = cloneSpriteBrush(this.spriteBrush);
+    if (Number.isFinite(settings.radius)) {
+      updates.radius = clamp(settings.radius, 1, 128);
+    }
+    if (Number.isFinite(settings.spacing)) {
+      updates.spacing = clamp(settings.spacing, 0.5, 64);
+    }
+    if (Number.isFinite(settings.density)) {
+      updates.density = clamp(settings.density, 0, 1);
+    }
+    if (Number.isFinite(settings.jitter)) {
+      updates.jitter = clamp(settings.jitter, 0, 1);
+    }
+    if (Array.isArray(settings.variants)) {
+      const variants = settings.variants.filter((variant) => typeof variant === 'string' && variant);
+      if (variants.length) {
+        updates.variants = variants;
+      }
+    }
+    if (Number.isFinite(settings.scaleMin)) {
+      updates.scaleMin = Math.max(0.05, settings.scaleMin);
+    }
+    if (Number.isFinite(settings.scaleMax)) {
+      updates.scaleMax = Math.max(0.05, settings.scaleMax);
+    }
+    if (typeof settings.animation === 'string' || settings.animation === null) {
+      updates.animation = settings.animation || null;
+    }
+    if (typeof settings.attach === 'boolean') {
+      updates.attach = settings.attach;
+    }
+    const changed = JSON.stringify(this.spriteBrush) !== JSON.stringify(updates);
+    this.spriteBrush = updates;
+    if (changed) {
+      this.emit('sprite-brush-change', { brush: this.getSpriteBrush() });
+      this._updateRendererState();
+    }
+  }
+
+  getSelectedPlacement() {
+    return this.selectedPlacementId != null
+      ? this.world?.getSpritePlacement?.(this.selectedPlacementId) || null
+      : null;
+  }
+
+  selectPlacement(placement) {
+    const resolved = typeof placement === 'string' ? this.world?.getSpritePlacement?.(placement) : placement;
+    this.selectedPlacementId = resolved ? resolved.id : null;
+    this.emit('placement-select', { placement: resolved || null });
+    this._updateRendererState();
+  }
+
+  scatterAt(point) {
+    if (!point || !this.world?.scatterSprites) {
+      return [];
+    }
+    const brush = this.spriteBrush;
+    const placements = this.world.scatterSprites(point, {
+      radius: brush.radius,
+      spacing: brush.spacing,
+      density: brush.density,
+      jitter: brush.jitter,
+      variants: brush.variants,
+      scale: [Math.min(brush.scaleMin, brush.scaleMax), Math.max(brush.scaleMin, brush.scaleMax)],
+      animation: brush.animation,
+      chunk: brush.attach
+    });
+    if (placements.length) {
+      this._emitPlacementEdit(placements, 'scatter');
+    }
+    return placements;
+  }
+
+  eraseAt(point) {
+    if (!point || !this.world?.removeSpritePlacementsInRadius) {
+      return [];
+    }
+    const removed = this.world.removeSpritePlacementsInRadius(point, this.spriteBrush.radius);
+    if (removed.length) {
+      if (removed.some((placement) => placement.id === this.selectedPlacementId)) {
+        this.selectPlacement(null);
+      }
+      this._emitPlacementEdit(removed, 'erase');
+    }
+    return removed;
+  }
+
+  setSelectedPlacementProperties(properties = {}) {
+    const placement = this.getSelectedPlacement();
+    if (!placement || !this.world.updateSpritePlacement(placement.id, properties)) {
+      return false;
+    }
+    this._emitPlacementEdit([placement], 'properties');
+    return true;
+  }
+
+  deleteSelectedPlacement() {
+    const placement = this.getSelectedPlacement();
+    if (!placement || !this.world.removeSpritePlacement(placement.id)) {
+      return false;
+    }
+    this.selectPlacement(null);
+    this._emitPlacementEdit([placement], 'delete');
+    return true;
+  }
+
+  _emitPlacementEdit(placements, action) {
+    this.emit('placement-edit', { placements, action });
+    this._updateRendererState();
+  }
+
+  _spritePointerDown(event, px, py) {
+    if (event.button !== 0 || !this.world?.scatterSprites) {
+      return false;
+    }
+    const point = this.screenToWorld(px, py);
+    if (event.shiftKey) {
+      const radius = Math.max(this._handleTolerance() * 1.5, 2);
+      this.selectPlacement(this.world.pickSpritePlacementAt(point.x, point.y, { radius }));
+      return true;
+    }
+    const erase = event.altKey;
+    this._spriteStroke = { erase, last: point };
+    this.canvas.setPointerCapture?.(event.pointerId);
+    if (erase) {
+      this.eraseAt(point);
+    } else {
+      this.scatterAt(point);
+    }
+    return true;
+  }
+
+  _continueSpriteStroke(px, py) {
+    const stroke = this._spriteStroke;
+    const point = this.screenToWorld(px, py);
+    this._spriteHover = point;
+    if (Math.hypot(point.x - stroke.last.x, point.y - stroke.last.y) < this.spriteBrush.radius * 0.5) {
+      this._updateRendererState();
+      return;
+    }
+    stroke.last = point;
+    if (stroke.erase) {
+      this.eraseAt(point);
+    } else {
+      this.scatterAt(point);
+    }
+  }
+
+  _finishSpriteStroke(event) {
+    this._spriteStroke = null;
+    this.canvas.releasePointerCapture?.(event.pointerId);
+    this._updateRendererState();
+  }
+
+  _spriteOverlayState() {
+    if (this.mode !== SPRITE_PAINT_MODE) {
+      return null;
+    }
+    const selected = this.getSelectedPlacement();
+    return {
+      center: this._spriteHover ? { ...this._spriteHover } : null,
+      radius: this.spriteBrush.radius,
+      erase: Boolean(this._spriteStroke?.erase),
+      selected: selected ? { ...selected.position } : null
+    };
+  }
+
+  _emitAgentEdit(agent, action) {
+    this.emit('agent-edit', { agent, action });
+    this._updateRendererState();
+  }
+
+  _applyAgentHistory(direction) {
+    const result = direction === 'undo'
+      ? this.world?.undoAgentEdit?.() || false
+      : this.world?.redoAgentEdit?.() || false;
+    if (result) {
+      this._waypointDrag = null;
+      const agent = this.getSelectedAgent();
+      if (!agent) {
+        this.selectedAgentId = null;
+      }
+      if (!agent || this.selectedWaypoint >= agent.path.length) {
+        this.selectedWaypoint = -1;
+      }
+      this.emit(direction === 'undo' ? 'agent-undo' : 'agent-redo', { agent });
+      this._updateRendererState();
+    }
+    return result;
+  }
+
+  _handleTolerance() {
+    return WAYPOINT_HANDLE_RADIUS / (this.renderer.camera.scale || 1);
+  }
+
+  _snapPoint(point) {
+    if (!this.cartEdit.snap || !this.world?.snapToRoad) {
+      return point;
+    }
+    const maxDistance = this.cartEdit.snapPixels / (this.renderer.camera.scale || 1);
+    return this.world.snapToRoad(point, { maxDistance }) || point;
+  }
+
+  _waypointAt(agent, point, tolerance) {
+    let best = -1;
+    let bestDistance = tolerance;
+    agent.path.forEach((waypoint, index) => {
+      const distance = Math.hypot(waypoint.x - point.x, waypoint.y - point.y);
+      if (distance <= bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  _segmentAt(agent, point, tolerance) {
+    let best = -1;
+    let bestDistance = tolerance;
+    for (let i = 0; i < agent.path.length - 1; i++) {
+      const distance = distanceToSegment(point, agent.path[i], agent.path[i + 1]);
+      if (distance <= bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  _cartPointerDown(event, px, py) {
+    if (!this.world?.selectAgentAt) {
+      return false;
+    }
+    const point = this.screenToWorld(px, py);
+    const tolerance = this._handleTolerance();
+    const agent = this.getSelectedAgent();
+    const index = agent ? this._waypointAt(agent, point, tolerance) : -1;
+    if (index >= 0 && (event.button === 2 || event.altKey)) {
+      this.removeWaypoint(index);
+      return true;
+    }
+    if (event.button !== 0 || event.altKey) {
+      return false;
+    }
+    if (index >= 0) {
+      this.world.beginAgentEdit(agent, 'move-waypoint');
+      this._beginWaypointDrag(event, agent, index, 'move-waypoint');
+      return true;
+    }
+    if (event.shiftKey) {
+      if (agent) {
+        this.appendWaypoint(point);
+      } else {
+        this.spawnCart(point);
+      }
+      return true;
+    }
+    const segment = agent ? this._segmentAt(agent, point, tolerance) : -1;
+    if (segment >= 0) {
+      this.world.beginAgentEdit(agent, 'insert-waypoint');
+      const inserted = this.world.insertAgentWaypoint(agent, segment + 1, this._snapPoint(point));
+      this._beginWaypointDrag(event, agent, inserted, 'insert-waypoint');
+      return true;
+    }
+    const hit = this.world.selectAgentAt(point.x, point.y, {
+      radius: tolerance * 1.5,
+      filter: (candidate) => Array.isArray(candidate.path)
+    });
+    this.selectAgent(hit);
+    return true;
+  }
+
+  _beginWaypointDrag(event, agent, index, action) {
+    this._waypointDrag = { agentId: agent.id, index, action };
+    this.selectedWaypoint = index;
+    this.canvas.setPointerCapture?.(event.pointerId);
+    this._updateRendererState();
+  }
+
+  _updateWaypointDrag(px, py) {
+    const drag = this._waypointDrag;
+    this.world.moveAgentWaypoint(drag.agentId, drag.index, this._snapPoint(this.screenToWorld(px, py)));
+    this._updateRendererState();
+  }
+
+  _finishWaypointDrag(event) {
+    const drag = this._waypointDrag;
+    this._waypointDrag = null;
+    const changed = this.world.commitAgentEdit();
+    this.canvas.releasePointerCapture?.(event.pointerId);
+    if (changed) {
+      this._emitAgentEdit(this.world.getAgent(drag.agentId), drag.action);
+    } else {
+      this._updateRendererState();
+    }
+  }
+
+  _cartOverlayState() {
+    if (this.mode !== CART_EDIT_MODE || this.selectedAgentId == null) {
+      return null;
+    }
+    return {
+      agentId: this.selectedAgentId,
+      selectedIndex: this.selectedWaypoint,
+      dragging: Boolean(this._waypointDrag)
+    };
+  }
+
   _beginVoxelStroke(event, px, py) {
     const layer = this.voxelBrush.layer;
     const hit = this.renderer.pickVoxelAt(px, py, { layer, column: this.voxelBrush.column });
@@ -480,6 +1125,270 @@ export class InteractionController {
     }
   }
 
+  _stampAnchor(hit) {
+    const size = getPrefabSize(this.stamp.prefab, this.stamp);
+    return {
+      x: hit.x - Math.floor(size.width / 2),
+      y: hit.y - Math.floor(size.depth / 2)
+    };
+  }
+
+  _pasteStamp(px, py) {
+    const prefab = this.stamp.prefab;
+    if (!prefab || !this.world?.voxels) {
+      return;
+    }
+    const hit = this.renderer.pickVoxelAt(px, py, { layer: this.voxelBrush.layer, column: true });
+    if (!hit) {
+      return;
+    }
+    const anchor = this._stampAnchor(hit);
+    const changed = this.world.voxels.pasteRegion(prefab, { x: anchor.x, y: anchor.y, z: hit.z + 1 }, {
+      rotation: this.stamp.rotation,
+      mirror: this.stamp.mirror
+    });
+    if (changed > 0) {
+      this.emit('voxel-edit', {
+        mode: this.mode,
+        stamp: this.getStamp(),
+        anchor,
+        pointer: { x: px, y: py }
+      });
+    }
+    this._updateRendererState();
+  }
+
+  _beginStampCapture(event, px, py) {
+    const hit = this.renderer.pickVoxelAt(px, py, { layer: this.voxelBrush.layer, column: true });
+    if (!hit) {
+      return;
+    }
+    this.canvas.setPointerCapture?.(event.pointerId);
+    this._stampCapture = { start: { x: hit.x, y: hit.y }, end: { x: hit.x, y: hit.y } };
+    this._updateRendererState();
+  }
+
+  _updateStampCapture(px, py) {
+    const hit = this.renderer.pickVoxelAt(px, py, { layer: this.voxelBrush.layer, column: true });
+    if (!hit || (hit.x === this._stampCapture.end.x && hit.y === this._stampCapture.end.y)) {
+      return;
+    }
+    this._stampCapture.end = { x: hit.x, y: hit.y };
+    this._updateRendererState();
+  }
+
+  _stampCaptureRegion() {
+    const { start, end } = this._stampCapture;
+    return {
+      minX: Math.min(start.x, end.x),
+      minY: Math.min(start.y, end.y),
+      maxX: Math.max(start.x, end.x) + 1,
+      maxY: Math.max(start.y, end.y) + 1
+    };
+  }
+
+  _finishStampCapture(event) {
+    const region = this._stampCaptureRegion();
+    this._stampCapture = null;
+    this.canvas.releasePointerCapture?.(event.pointerId);
+    const prefab = this.world?.voxels?.extractRegion?.(region) || null;
+    if (prefab) {
+      this.emit('prefab-capture', { prefab, region });
+    }
+    this._updateRendererState();
+  }
+
+  _stampOverlayState() {
+    if (this.mode !== 'voxel-stamp') {
+      return null;
+    }
+    const capture = this._stampCapture ? this._stampCaptureRegion() : null;
+    let cells = [];
+    if (!capture && this.stamp.prefab && this.hoveredVoxel) {
+      const anchor = this._stampAnchor(this.hoveredVoxel);
+      cells = getPrefabFootprint(this.stamp.prefab, this.stamp)
+        .map((cell) => ({ x: anchor.x + cell.x, y: anchor.y + cell.y }));
+    }
+    return {
+      cells,
+      capture,
+      rotation: this.stamp.rotation,
+      mirror: this.stamp.mirror
+    };
+  }
+
+  _pickColumnHit(px, py) {
+    return this.renderer.pickVoxelAt(px, py, { layer: this.voxelBrush.layer, column: true });
+  }
+
+  _shapeCells(drag) {
+    const rasterize = SHAPE_RASTERIZERS[this.voxelModes.get(this.mode)?.shape];
+    if (!rasterize || !drag) {
+      return [];
+    }
+    return rasterize(drag.start, drag.end, {
+      thickness: this.voxelBrush.thickness,
+      filled: this.voxelBrush.filled
+    });
+  }
+
+  _beginShapeDrag(event, px, py) {
+    const hit = this._pickColumnHit(px, py);
+    if (!hit) {
+      return;
+    }
+    this.canvas.setPointerCapture?.(event.pointerId);
+    this._shapeDrag = {
+      start: { x: hit.x, y: hit.y },
+      end: { x: hit.x, y: hit.y },
+      erase: Boolean(event.altKey)
+    };
+    this._updateRendererState();
+  }
+
+  _updateShapeDrag(px, py) {
+    const hit = this._pickColumnHit(px, py);
+    if (!hit || (hit.x === this._shapeDrag.end.x && hit.y === this._shapeDrag.end.y)) {
+      return;
+    }
+    this._shapeDrag.end = { x: hit.x, y: hit.y };
+    this._updateRendererState();
+  }
+
+  _finishShapeDrag(event) {
+    const drag = this._shapeDrag;
+    this._shapeDrag = null;
+    this.canvas.releasePointerCapture?.(event.pointerId);
+    const cells = this._shapeCells(drag);
+    this._commitCellStroke(cells, (voxels) => this._applyCells(voxels, cells, drag.erase), {
+      shape: this.voxelModes.get(this.mode)?.shape,
+      start: drag.start,
+      end: drag.end
+    });
+    this._updateRendererState();
+  }
+
+  _applyCells(voxels, cells, erase) {
+    const brush = this.voxelBrush;
+    if (brush.layer === 'prop') {
+      voxels.applyPropCells(cells, erase ? null : brush.propId);
+      return;
+    }
+    if (erase) {
+      voxels.applyEraseCells(cells);
+      if (brush.column) {
+        voxels.applyHeightCells(cells, -(voxels.maxHeight || brush.heightDelta || 1));
+      }
+      return;
+    }
+    voxels.applyPaintCells(cells, brush.material);
+    if (brush.column) {
+      voxels.applyHeightCells(cells, brush.heightDelta);
+    }
+  }
+
+  _collectFillCells(hit) {
+    const voxels = this.world?.voxels;
+    if (!hit || !voxels) {
+      return null;
+    }
+    const action = this.voxelModes.get(this.mode)?.action;
+    const level = action === 'lake'
+      ? (voxels.pickColumn(hit.x + 0.5, hit.y + 0.5)?.z ?? -1) + this.voxelBrush.heightDelta
+      : null;
+    // Every column of a region floods to the same region, so hovering inside the
+    // last one (or the part explored before it was rejected) reuses the result.
+    const cached = this._fillPreview;
+    if (cached && cached.action === action && cached.level === level && cached.members.has(`${hit.x},${hit.y}`)) {
+      return cached;
+    }
+    const result = action === 'lake'
+      ? voxels.collectBasin(hit.x + 0.5, hit.y + 0.5, level)
+      : voxels.collectFloodFill(hit.x + 0.5, hit.y + 0.5);
+    if (!result) {
+      return null;
+    }
+    this._fillPreview = {
+      action,
+      level,
+      cells: result.cells,
+      reason: result.reason,
+      members: new Set(result.cells.map((cell) => `${cell.x},${cell.y}`))
+    };
+    return this._fillPreview;
+  }
+
+  _applyFillTool(event, px, py) {
+    const hit = this._pickColumnHit(px, py);
+    if (!hit) {
+      return;
+    }
+    const fill = this._collectFillCells(hit);
+    if (!fill) {
+      return;
+    }
+    if (fill.reason) {
+      this.emit('voxel-tool-rejected', { mode: this.mode, reason: fill.reason, hit });
+      return;
+    }
+    const erase = Boolean(event.altKey);
+    this._commitCellStroke(fill.cells, (voxels) => {
+      if (fill.level == null || erase) {
+        this._applyCells(voxels, fill.cells, erase);
+      } else {
+        voxels.fillCellsToHeight(fill.cells, fill.level, this.voxelBrush.material);
+      }
+    }, { origin: { x: hit.x, y: hit.y }, level: fill.level });
+    this._fillPreview = null;
+    this._updateRendererState();
+  }
+
+  _commitCellStroke(cells, apply, detail = {}) {
+    const voxels = this.world?.voxels;
+    if (!voxels || cells.length === 0) {
+      return false;
+    }
+    this.world.beginVoxelStroke({ mode: this.mode, layer: this.voxelBrush.layer });
+    apply(voxels);
+    const changed = this.world.commitVoxelStroke() || false;
+    if (!changed) {
+      this.world.cancelVoxelStroke();
+      return false;
+    }
+    this.emit('voxel-edit', {
+      mode: this.mode,
+      brush: this.getBrush(),
+      cells: cells.length,
+      ...detail
+    });
+    return true;
+  }
+
+  _shapeOverlayState() {
+    const action = this.voxelModes.get(this.mode)?.action;
+    if (action === 'shape') {
+      if (this._shapeDrag) {
+        return { kind: 'shape', cells: this._shapeCells(this._shapeDrag), erase: this._shapeDrag.erase };
+      }
+      return this.hoveredVoxel
+        ? { kind: 'shape', cells: [{ x: this.hoveredVoxel.x, y: this.hoveredVoxel.y }], erase: false }
+        : null;
+    }
+    if (action !== 'fill' && action !== 'lake') {
+      return null;
+    }
+    if (!this.hoveredVoxel) {
+      return null;
+    }
+    const fill = this._collectFillCells(this.hoveredVoxel);
+    return {
+      kind: action,
+      cells: fill && !fill.reason ? fill.cells : [],
+      rejected: fill?.reason ?? null,
+      erase: false
+    };
+  }
+
   _updateVoxelHover(px, py) {
     const hit = this.renderer.pickVoxelAt(px, py, { layer: this.voxelBrush.layer, column: this.voxelBrush.column });
     if (!hit && !this.hoveredVoxel) {
@@ -509,6 +1418,10 @@ export class InteractionController {
       measurement: null,
       editSession: null,
       voxelHover: hover,
+      voxelStamp: this._stampOverlayState(),
+      voxelShape: this._shapeOverlayState(),
+      cartEdit: this._cartOverlayState(),
+      spritePaint: this._spriteOverlayState(),
       voxelBrush: {
         mode: this.mode,
         brush,
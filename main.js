@@ -227,13 +227,52 @@ async function init() {
   const authorEditsList = document.getElementById('authoringEdits');
   const subdivideBtn = document.getElementById('subdivideSelected');
   const clearNodeEditsBtn = document.getElementById('clearNodeEdits');
+  const undoVoxelBtn = document.getElementById('undoVoxel');
+  const redoVoxelBtn = document.getElementById('redoVoxel');
+  const brushRadiusInput = document.getElementById('brushRadius');
+  const brushRadiusValue = document.getElementById('brushRadiusValue');
+  const brushLayerSelect = document.getElementById('brushLayer');
+  const brushMaterialSelect = document.getElementById('brushMaterial');
+  const brushHeightInput = document.getElementById('brushHeightDelta');
+  const brushPropInput = document.getElementById('brushPropId');
+  const brushThicknessInput = document.getElementById('brushThickness');
+  const brushColumnInput = document.getElementById('brushColumn');
+  const brushFilledInput = document.getElementById('brushFilled');
+  const brushSummary = document.getElementById('brushSummary');
+  const prefabSelect = document.getElementById('prefabSelect');
+  const prefabRotateBtn = document.getElementById('prefabRotate');
+  const prefabMirrorBtn = document.getElementById('prefabMirror');
+  const prefabDeleteBtn = document.getElementById('prefabDelete');
+  const prefabExportBtn = document.getElementById('prefabExport');
+  const prefabSummary = document.getElementById('prefabSummary');
+  const cartSpeedInput = document.getElementById('cartSpeed');
+  const cartTravelModeSelect = document.getElementById('cartTravelMode');
+  const cartSnapInput = document.getElementById('cartSnap');
+  const cartSpawnBtn = document.getElementById('cartSpawn');
+  const cartDeleteBtn = document.getElementById('cartDelete');
+  const cartSummary = document.getElementById('cartSummary');
+  const spriteRadiusInput = document.getElementById('spriteRadius');
+  const spriteRadiusValue = document.getElementById('spriteRadiusValue');
+  const spriteDensityInput = document.getElementById('spriteDensity');
+  const spriteDensityValue = document.getElementById('spriteDensityValue');
+  const spriteSpacingInput = document.getElementById('spriteSpacing');
+  const spriteVariantsSelect = document.getElementById('spriteVariants');
+  const spriteAnimationSelect = document.getElementById('spriteAnimation');
+  const spriteAttachInput = document.getElementById('spriteAttach');
+  const placementGlyphSelect = document.getElementById('placementGlyph');
+  const placementScaleInput = document.getElementById('placementScale');
+  const placementRotationInput = document.getElementById('placementRotation');
+  const placementAnimationSelect = document.getElementById('placementAnimation');
+  const placementPriorityInput = document.getElementById('placementPriority');
+  const placementDeleteBtn = document.getElementById('placementDelete');
+  const spriteSummary = document.getElementById('spriteSummary');
 
   if (!canvas) {
     throw new Error('Canvas element missing');
   }
 
   try {
-    const { palette, glyphs, createTilesetLoader } = await loadAssets();
+    const { palette, glyphs, prefabs, createTilesetLoader } = await loadAssets();
     const world = new World(palette, {
       bounds: WORLD_BOUNDS,
       seed: DEFAULT_WORLD_SEED,
@@ -258,6 +297,21 @@ async function init() {
 
     const voxelWorld = world.getTerrainLayer().voxelWorld;
     let searchIndex = buildSearchIndex(voxelWorld);
+    let unwatchSearchIndex = null;
+
+    function watchSearchIndex(target) {
+      unwatchSearchIndex?.();
+      unwatchSearchIndex = target?.subscribe?.(({ chunks }) => {
+        for (const { chunkId } of chunks) {
+          const record = toSearchRecord(target.getChunkById(chunkId));
+          if (record) {
+            searchIndex.set(record.id, record);
+          }
+        }
+      }) || null;
+    }
+
+    watchSearchIndex(voxelWorld);
     const authoringState = { target: null, dirty: false };
 
     function setAuthoringError(message) {
@@ -666,8 +720,21 @@ async function init() {
 
     function updateTileStatus() {
       if (!tileStatus) return;
-      const pending = tilesetLoader?.inFlight?.size ?? 0;
-      const pieces = [`Tiles · ${pending > 0 ? `loading (${pending})` : 'idle'}`];
+      const progress = tilesetLoader.getStreamProgress();
+      const pending = progress.queued + progress.inFlight;
+      const pieces = [`Tiles · ${pending > 0 ? `loading ${progress.ready}/${progress.wanted}` : 'idle'}`];
+      if (progress.lod != null) {
+        pieces.push(`view LOD ${progress.lod}`);
+      }
+      const cache = tilesetLoader.getCacheStats();
+      const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+      pieces.push(`cache ${megabytes(cache.bytes)}/${megabytes(cache.budget)} MB · ${cache.tiles} tiles (${cache.pinned} pinned)`);
+      if (cache.indexSource === 'cache') {
+        pieces.push('offline');
+      }
+      if (cache.sources.cache || cache.sources.procedural) {
+        pieces.push(`${cache.sources.cache} stored · ${cache.sources.procedural} procedural`);
+      }
       if (lastLoadedTile) {
         pieces.push(`LOD ${lastLoadedTile.lod} (${lastLoadedTile.x},${lastLoadedTile.y})`);
       }
@@ -678,13 +745,19 @@ async function init() {
     function indexTile(tile) {
       if (!tile) return;
       try {
-        const target = voxelWorld.ensureNodeForTile(tile.lod ?? 0, tile.x ?? 0, tile.y ?? 0);
-        if (target) {
+        const parentIds = new Set();
+        for (const chunkId of tilesetLoader.getTileChunks(tile.lod ?? 0, tile.x ?? 0, tile.y ?? 0)) {
+          const target = voxelWorld.getNode(chunkId);
+          if (!target) continue;
           const record = toSearchRecord(target);
           if (record) {
             searchIndex.set(record.id, record);
           }
-          let parentId = target.parentId;
+          if (target.parentId) {
+            parentIds.add(target.parentId);
+          }
+        }
+        for (let parentId of parentIds) {
           while (parentId) {
             const parent = voxelWorld.getNode(parentId);
             if (!parent) break;
@@ -796,6 +869,333 @@ async function init() {
 
     controller.on('layer-toggle', () => refreshLayerSummary());
 
+    function refreshVoxelHistoryButtons() {
+      if (undoVoxelBtn) {
+        undoVoxelBtn.disabled = !controller.canUndoEdit();
+      }
+      if (redoVoxelBtn) {
+        redoVoxelBtn.disabled = !controller.canRedoEdit();
+      }
+    }
+
+    controller.on('voxel-edit', () => refreshVoxelHistoryButtons());
+    controller.on('voxel-undo', () => refreshVoxelHistoryButtons());
+    controller.on('voxel-redo', () => refreshVoxelHistoryButtons());
+    controller.on('mode-change', () => refreshVoxelHistoryButtons());
+
+    if (undoVoxelBtn) {
+      undoVoxelBtn.addEventListener('click', () => {
+        controller.undoEdit();
+        refreshVoxelHistoryButtons();
+      });
+    }
+
+    if (redoVoxelBtn) {
+      redoVoxelBtn.addEventListener('click', () => {
+        controller.redoEdit();
+        refreshVoxelHistoryButtons();
+      });
+    }
+
+    function refreshBrushPanel(message = null) {
+      const brush = controller.getBrush();
+      const action = controller.voxelModes.get(controller.mode)?.action || 'navigate';
+      if (brushRadiusInput) brushRadiusInput.value = String(brush.radius);
+      if (brushRadiusValue) brushRadiusValue.textContent = brush.radius.toFixed(1);
+      if (brushLayerSelect) brushLayerSelect.value = brush.layer;
+      if (brushMaterialSelect) brushMaterialSelect.value = brush.material;
+      if (brushHeightInput) brushHeightInput.value = String(brush.heightDelta);
+      if (brushPropInput) brushPropInput.value = brush.propId ?? '';
+      if (brushThicknessInput) brushThicknessInput.value = String(brush.thickness);
+      if (brushColumnInput) brushColumnInput.checked = brush.column;
+      if (brushFilledInput) brushFilledInput.checked = brush.filled;
+      if (brushSummary) {
+        const size = action === 'shape'
+          ? `thickness ${brush.thickness}${brush.filled ? ' · filled' : ''}`
+          : action === 'lake' ? `+${brush.heightDelta}` : `radius ${brush.radius}`;
+        brushSummary.textContent = message || `${action} · ${size}`;
+      }
+    }
+
+    if (brushMaterialSelect) {
+      brushMaterialSelect.innerHTML = '';
+      for (const material of world.getVoxelMaterials()) {
+        const option = document.createElement('option');
+        option.value = material;
+        option.textContent = capitalise(String(material));
+        brushMaterialSelect.appendChild(option);
+      }
+    }
+
+    const brushInputs = [
+      [brushRadiusInput, 'input', (input) => ({ radius: Number(input.value) })],
+      [brushLayerSelect, 'change', (input) => ({ layer: input.value })],
+      [brushMaterialSelect, 'change', (input) => ({ material: input.value })],
+      [brushHeightInput, 'change', (input) => ({ heightDelta: Number(input.value) })],
+      [brushPropInput, 'change', (input) => ({ propId: input.value.trim() || null })],
+      [brushThicknessInput, 'change', (input) => ({ thickness: Number(input.value) })],
+      [brushColumnInput, 'change', (input) => ({ column: input.checked })],
+      [brushFilledInput, 'change', (input) => ({ filled: input.checked })]
+    ];
+    for (const [input, type, read] of brushInputs) {
+      if (input) {
+        input.addEventListener(type, () => controller.setBrush(read(input)));
+      }
+    }
+
+    controller.on('brush-change', () => refreshBrushPanel());
+    controller.on('mode-change', () => refreshBrushPanel());
+    controller.on('voxel-tool-rejected', ({ reason }) => {
+      refreshBrushPanel(reason === 'limit'
+        ? 'Fill region is larger than the fill limit; nothing changed.'
+        : 'Fill region is not enclosed; nothing changed.');
+    });
+    refreshBrushPanel();
+
+    function refreshPrefabPanel() {
+      const stamp = controller.getStamp();
+      if (prefabSelect) {
+        prefabSelect.innerHTML = '';
+        for (const name of prefabs.names()) {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name;
+          option.selected = name === stamp.name;
+          prefabSelect.appendChild(option);
+        }
+      }
+      if (prefabSummary) {
+        const prefab = stamp.name ? prefabs.get(stamp.name) : null;
+        prefabSummary.textContent = prefab
+          ? `${prefab.name} · ${prefab.width}×${prefab.depth}×${prefab.height} · rot ${stamp.rotation * 90}°${stamp.mirror ? ' · mirrored' : ''}`
+          : 'Shift-drag in Stamp mode to capture a region.';
+      }
+      if (prefabDeleteBtn) {
+        prefabDeleteBtn.disabled = !stamp.name;
+      }
+    }
+
+    controller.on('stamp-change', () => refreshPrefabPanel());
+    controller.on('prefab-capture', ({ detail }) => {
+      const stored = prefabs.add(detail.prefab, prefabs.uniqueName(detail.prefab.name));
+      controller.setStamp({ prefab: stored });
+      refreshPrefabPanel();
+    });
+
+    if (prefabSelect) {
+      prefabSelect.addEventListener('change', () => {
+        controller.setStamp({ prefab: prefabs.get(prefabSelect.value) });
+      });
+    }
+
+    if (prefabRotateBtn) {
+      prefabRotateBtn.addEventListener('click', () => {
+        controller.setStamp({ rotation: controller.stamp.rotation + 1 });
+      });
+    }
+
+    if (prefabMirrorBtn) {
+      prefabMirrorBtn.addEventListener('click', () => {
+        controller.setStamp({ mirror: !controller.stamp.mirror });
+      });
+    }
+
+    if (prefabDeleteBtn) {
+      prefabDeleteBtn.addEventListener('click', () => {
+        const { name } = controller.getStamp();
+        if (!name) return;
+        prefabs.remove(name);
+        controller.setStamp({ prefab: prefabs.list()[0] || null });
+        refreshPrefabPanel();
+      });
+    }
+
+    if (prefabExportBtn) {
+      prefabExportBtn.addEventListener('click', () => {
+        const json = JSON.stringify(prefabs.toJSON(), null, 2);
+        const blob = new Blob([json + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'prefabs.json';
+        a.click();
+        URL.revokeObjectURL(url);
+      });
+    }
+
+    controller.setStamp({ prefab: prefabs.list()[0] || null });
+    refreshPrefabPanel();
+
+    function refreshCartPanel() {
+      const agent = controller.getSelectedAgent();
+      if (cartSpeedInput) {
+        cartSpeedInput.disabled = !agent;
+        cartSpeedInput.value = agent ? String(Number(agent.speed.toFixed(3))) : '';
+      }
+      if (cartTravelModeSelect) {
+        cartTravelModeSelect.disabled = !agent;
+        cartTravelModeSelect.value = agent ? agent.travelMode : 'loop';
+      }
+      if (cartSnapInput) cartSnapInput.checked = controller.cartEdit.snap;
+      if (cartDeleteBtn) cartDeleteBtn.disabled = !agent;
+      if (cartSummary) {
+        cartSummary.textContent = agent
+          ? `${capitalise(agent.type)} #${agent.id} · ${agent.path.length} waypoints · ${agent.totalLength.toFixed(1)} long`
+          : 'Carts mode: click a cart to edit its path, Shift-click to spawn one.';
+      }
+    }
+
+    for (const type of ['agent-select', 'agent-edit', 'agent-undo', 'agent-redo']) {
+      controller.on(type, () => {
+        refreshCartPanel();
+        refreshVoxelHistoryButtons();
+      });
+    }
+
+    if (cartSpeedInput) {
+      cartSpeedInput.addEventListener('change', () => {
+        const speed = Number(cartSpeedInput.value);
+        if (Number.isFinite(speed) && speed >= 0) {
+          controller.setSelectedAgentProperties({ speed });
+        }
+        refreshCartPanel();
+      });
+    }
+
+    if (cartTravelModeSelect) {
+      cartTravelModeSelect.addEventListener('change', () => {
+        controller.setSelectedAgentProperties({ travelMode: cartTravelModeSelect.value });
+      });
+    }
+
+    if (cartSnapInput) {
+      cartSnapInput.addEventListener('change', () => controller.setCartEdit({ snap: cartSnapInput.checked }));
+    }
+
+    if (cartSpawnBtn) {
+      cartSpawnBtn.addEventListener('click', () => {
+        const rect = canvas.getBoundingClientRect();
+        controller.setMode('cart-edit');
+        modeButtons.forEach((btn) => {
+          btn.classList.toggle('active', btn.dataset.mode === controller.mode);
+        });
+        controller.spawnCart(controller.screenToWorld(rect.width / 2, rect.height / 2));
+      });
+    }
+
+    if (cartDeleteBtn) {
+      cartDeleteBtn.addEventListener('click', () => controller.deleteSelectedAgent());
+    }
+
+    refreshCartPanel();
+
+    const spriteGlyphKeys = glyphs.list
+      .map((glyph) => glyph.key)
+      .filter((key) => !key.endsWith('_tile'));
+    for (const select of [spriteVariantsSelect, placementGlyphSelect]) {
+      if (!select) continue;
+      select.innerHTML = '';
+      for (const key of spriteGlyphKeys) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = glyphs.byKey[key]?.name || key;
+        select.appendChild(option);
+      }
+    }
+
+    function refreshSpritePanel() {
+      const brush = controller.getSpriteBrush();
+      if (spriteRadiusInput) spriteRadiusInput.value = String(brush.radius);
+      if (spriteRadiusValue) spriteRadiusValue.textContent = String(brush.radius);
+      if (spriteDensityInput) spriteDensityInput.value = String(brush.density);
+      if (spriteDensityValue) spriteDensityValue.textContent = brush.density.toFixed(2);
+      if (spriteSpacingInput) spriteSpacingInput.value = String(brush.spacing);
+      if (spriteVariantsSelect) {
+        for (const option of spriteVariantsSelect.options) {
+          option.selected = brush.variants.includes(option.value);
+        }
+      }
+      if (spriteAnimationSelect) spriteAnimationSelect.value = brush.animation || '';
+      if (spriteAttachInput) spriteAttachInput.checked = brush.attach;
+
+      const placement = controller.getSelectedPlacement();
+      const fields = [placementGlyphSelect, placementScaleInput, placementRotationInput, placementAnimationSelect, placementPriorityInput, placementDeleteBtn];
+      fields.forEach((field) => {
+        if (field) field.disabled = !placement;
+      });
+      if (placementGlyphSelect) placementGlyphSelect.value = placement?.spriteKey || '';
+      if (placementScaleInput) {
+        placementScaleInput.value = placement && Number.isFinite(placement.scale) ? String(placement.scale) : placement ? '1' : '';
+      }
+      if (placementRotationInput) {
+        placementRotationInput.value = placement ? String(Math.round((placement.rotation || 0) * 180 / Math.PI)) : '';
+      }
+      if (placementAnimationSelect) {
+        const animation = placement?.animation;
+        placementAnimationSelect.value = typeof animation === 'string' ? animation : animation?.type || '';
+      }
+      if (placementPriorityInput) placementPriorityInput.value = placement ? String(placement.priority ?? 0) : '';
+      if (spriteSummary) {
+        const position = placement ? `${placement.position.x.toFixed(1)}, ${placement.position.y.toFixed(1)}` : '';
+        spriteSummary.textContent = placement
+          ? `${placement.id} · ${position} · ${placement.chunkId || 'global'}`
+          : `${world.getSpriteLayer().placements.length} placements · drag to paint, Alt-drag to erase, Shift-click to inspect.`;
+      }
+    }
+
+    for (const type of ['placement-select', 'placement-edit', 'sprite-brush-change']) {
+      controller.on(type, () => refreshSpritePanel());
+    }
+    world.on('sprite-change', () => refreshSpritePanel());
+
+    const spriteBrushInputs = [
+      [spriteRadiusInput, 'input', (input) => ({ radius: Number(input.value) })],
+      [spriteDensityInput, 'input', (input) => ({ density: Number(input.value) })],
+      [spriteSpacingInput, 'change', (input) => ({ spacing: Number(input.value) })],
+      [spriteVariantsSelect, 'change', (input) => ({ variants: Array.from(input.selectedOptions, (option) => option.value) })],
+      [spriteAnimationSelect, 'change', (input) => ({ animation: input.value || null })],
+      [spriteAttachInput, 'change', (input) => ({ attach: input.checked })]
+    ];
+    for (const [input, type, read] of spriteBrushInputs) {
+      if (input) {
+        input.addEventListener(type, () => controller.setSpriteBrush(read(input)));
+      }
+    }
+
+    const placementInputs = [
+      [placementGlyphSelect, (input) => ({ spriteKey: input.value })],
+      [placementScaleInput, (input) => {
+        const scale = Number(input.value);
+        return Number.isFinite(scale) && scale > 0 ? { scale } : null;
+      }],
+      [placementRotationInput, (input) => {
+        const degrees = Number(input.value);
+        return Number.isFinite(degrees) ? { rotation: degrees * Math.PI / 180 } : null;
+      }],
+      [placementAnimationSelect, (input) => ({ animation: input.value || null })],
+      [placementPriorityInput, (input) => {
+        const priority = Number(input.value);
+        return Number.isFinite(priority) ? { priority } : null;
+      }]
+    ];
+    for (const [input, read] of placementInputs) {
+      if (input) {
+        input.addEventListener('change', () => {
+          const updates = read(input);
+          if (updates) {
+            controller.setSelectedPlacementProperties(updates);
+          }
+          refreshSpritePanel();
+        });
+      }
+    }
+
+    if (placementDeleteBtn) {
+      placementDeleteBtn.addEventListener('click', () => controller.deleteSelectedPlacement());
+    }
+
+    refreshSpritePanel();
+
     modeButtons.forEach((button) => {
       button.addEventListener('click', () => {
         controller.setMode(button.dataset.mode);
@@ -916,9 +1316,22 @@ async function init() {
             if (parsedHeader?.type === 'editorPatch') {
               world.applyEditorPatch(text);
               searchIndex = buildSearchIndex(world.getTerrainLayer().voxelWorld);
+            } else if (parsedHeader?.type === 'header') {
+              tilesetLoader.loadStream(text).then((result) => {
+                if (result.errors.length || result.truncated) {
+                  console.warn('[tiles] Quadtree stream loaded with problems', result);
+                }
+                refreshCurrentSelection();
+              }).catch((err) => {
+                alert('Failed to load quadtree stream: ' + (err?.message || err));
+              });
             } else {
               world.deserialize(text);
+              controller.selectAgent(null);
+              controller.selectPlacement(null);
               searchIndex = buildSearchIndex(world.getTerrainLayer().voxelWorld);
+              watchSearchIndex(world.getTerrainLayer().voxelWorld);
+              refreshVoxelHistoryButtons();
               refreshLayerSummary();
               renderer.fitCameraToWorld();
             }
@@ -934,6 +1347,7 @@ async function init() {
     }
 
     refreshLayerSummary();
+    refreshVoxelHistoryButtons();
     updateHover(null);
     updateSelection(null);
     updateMeasurement(null);
@@ -965,6 +1379,7 @@ async function init() {
       }
 
       controller.update(frameTime);
+      tilesetLoader.updateView(renderer.getViewBounds());
       renderer.draw();
       updateTileStatus();
       requestAnimationFrame(loop);
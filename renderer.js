@@ -1,4 +1,5 @@
 import { VoxelRenderer } from './renderer/voxelRenderer.js';
+import { CloudLayer } from './renderer/cloudLayer.js';
 
 export class Camera {
   constructor() {
@@ -62,6 +63,7 @@ export class Renderer {
     this._cameraFitted = false;
     this.colors = defaultPaletteColors(world?.palette);
     this.voxelRenderer = new VoxelRenderer(world, this.camera, glyphs);
+    this.cloudLayer = new CloudLayer();
     this.layerVisibility = {
       terrain: true,
       vector: true,
@@ -129,13 +131,19 @@ export class Renderer {
 
     this._drawOcean(ctx);
     this.drawTerrainPass(ctx, view);
+    this.drawCloudShadowPass(ctx, view);
     this.drawVectorPass(ctx, view);
     this.drawSpritePass(ctx, view);
+    this.drawCloudPass(ctx, view);
     this._drawInteractionOverlays(ctx, view);
 
     ctx.restore();
   }
 
+  getViewBounds() {
+    return this._computeViewBounds();
+  }
+
   _computeViewBounds() {
     const left = -this.camera.x / this.camera.scale;
     const top = -this.camera.y / this.camera.scale;
@@ -149,7 +157,8 @@ export class Renderer {
       height,
       right: left + width,
       bottom: top + height,
-      zoom
+      zoom,
+      time: this.world.time ?? 0
     };
   }
 
@@ -185,22 +194,41 @@ export class Renderer {
     const spriteLayer = this.world.getSpriteLayer();
     const shouldRenderSprites = this.isLayerVisible('sprite');
     const shouldRenderEffects = this.isLayerVisible('effect');
-    const carts = shouldRenderEffects ? this.world.carts : [];
-    const preparedAtlas = shouldRenderSprites && spriteLayer && Array.isArray(spriteLayer.placements)
-      ? this.voxelRenderer.prepareSpriteAtlas(spriteLayer.placements)
-      : null;
-    this.voxelRenderer.renderSprites(ctx, view, spriteLayer, carts, {
+    const agents = shouldRenderEffects ? this.world.agents : [];
+    this.voxelRenderer.renderSprites(ctx, view, spriteLayer, agents, {
       renderSprites: shouldRenderSprites,
-      renderEffects: shouldRenderEffects,
-      preparedAtlas
+      renderEffects: shouldRenderEffects
     });
   }
 
+  drawCloudShadowPass(ctx, view) {
+    if (!this.isLayerVisible('effect')) return;
+    this.cloudLayer.drawShadows(ctx, view, this._cloudState(view));
+  }
+
+  drawCloudPass(ctx, view) {
+    if (!this.isLayerVisible('effect')) return;
+    this.cloudLayer.drawClouds(ctx, view, this._cloudState(view));
+  }
+
+  _cloudState(view) {
+    return {
+      seed: this.world.seed,
+      time: view.time,
+      bounds: this.world.bounds
+    };
+  }
+
   pickBuildingAt(px, py) {
     const worldPos = this.camera.screenToWorld(px, py);
     return this.voxelRenderer.pickBuildingAt(worldPos.x, worldPos.y);
   }
 
+  pickVoxelAt(px, py, options) {
+    const worldPos = this.camera.screenToWorld(px, py);
+    return this.voxelRenderer.pickVoxelAt(worldPos.x, worldPos.y, options);
+  }
+
   pickProxyAt(px, py, filter) {
     const worldPos = this.camera.screenToWorld(px, py);
     return this.voxelRenderer.pickProxyAt(worldPos.x, worldPos.y, filter);
@@ -326,6 +354,94 @@ export class Renderer {
       ctx.restore();
     }
 
+    if (state.voxelStamp?.cells?.length) {
+      ctx.save();
+      ctx.fillStyle = 'rgba(82, 255, 141, 0.25)';
+      for (const cell of state.voxelStamp.cells) {
+        ctx.fillRect(cell.x, cell.y, 1, 1);
+      }
+      ctx.strokeStyle = 'rgba(82, 255, 141, 0.9)';
+      for (const cell of state.voxelStamp.cells) {
+        ctx.strokeRect(cell.x, cell.y, 1, 1);
+      }
+      ctx.restore();
+    }
+
+    if (state.voxelShape?.cells?.length) {
+      const shape = state.voxelShape;
+      const rgb = shape.erase ? '255, 99, 99' : shape.kind === 'lake' ? '82, 170, 255' : '255, 214, 82';
+      ctx.save();
+      ctx.fillStyle = `rgba(${rgb}, 0.3)`;
+      for (const cell of shape.cells) {
+        ctx.fillRect(cell.x, cell.y, 1, 1);
+      }
+      if (shape.cells.length <= 4096) {
+        ctx.strokeStyle = `rgba(${rgb}, 0.85)`;
+        ctx.lineWidth = 1 / this.camera.scale;
+        for (const cell of shape.cells) {
+          ctx.strokeRect(cell.x, cell.y, 1, 1);
+        }
+      }
+      ctx.restore();
+    }
+
+    const cartEdit = state.cartEdit;
+    const editedAgent = cartEdit ? this.world?.getAgent?.(cartEdit.agentId) : null;
+    if (editedAgent?.path?.length) {
+      const path = editedAgent.path;
+      const size = 8 / this.camera.scale;
+      ctx.save();
+      ctx.lineWidth = 2 / this.camera.scale;
+      ctx.strokeStyle = 'rgba(255, 204, 51, 0.9)';
+      ctx.setLineDash?.([6 / this.camera.scale, 4 / this.camera.scale]);
+      ctx.beginPath();
+      path.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(point.x, point.y); else ctx.lineTo(point.x, point.y);
+      });
+      ctx.stroke();
+      ctx.setLineDash?.([]);
+      ctx.lineWidth = 1.5 / this.camera.scale;
+      ctx.strokeStyle = 'rgba(74, 46, 35, 0.95)';
+      path.forEach((point, index) => {
+        ctx.fillStyle = index === cartEdit.selectedIndex ? '#ffcc33' : '#ffffff';
+        ctx.fillRect(point.x - size / 2, point.y - size / 2, size, size);
+        ctx.strokeRect(point.x - size / 2, point.y - size / 2, size, size);
+      });
+      ctx.restore();
+    }
+
+    const spritePaint = state.spritePaint;
+    if (spritePaint?.center) {
+      ctx.save();
+      ctx.lineWidth = 1.5 / this.camera.scale;
+      ctx.strokeStyle = spritePaint.erase ? 'rgba(255, 99, 99, 0.9)' : 'rgba(82, 255, 141, 0.9)';
+      ctx.setLineDash?.([4 / this.camera.scale, 3 / this.camera.scale]);
+      ctx.beginPath();
+      ctx.arc(spritePaint.center.x, spritePaint.center.y, spritePaint.radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+    if (spritePaint?.selected) {
+      const radius = 8 / this.camera.scale;
+      ctx.save();
+      ctx.lineWidth = 2 / this.camera.scale;
+      ctx.strokeStyle = '#ffcc33';
+      ctx.beginPath();
+      ctx.arc(spritePaint.selected.x, spritePaint.selected.y, radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    if (state.voxelStamp?.capture) {
+      const { minX, minY, maxX, maxY } = state.voxelStamp.capture;
+      ctx.save();
+      ctx.strokeStyle = 'rgba(82, 141, 255, 0.9)';
+      ctx.lineWidth = 2 / this.camera.scale;
+      ctx.setLineDash?.([4 / this.camera.scale, 3 / this.camera.scale]);
+      ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
+      ctx.restore();
+    }
+
     if (state.editSession?.vertices?.length) {
       const edit = state.editSession;
       const vertices = edit.vertices || [];
@@ -0,0 +1,258 @@
+import { hashLattice, smoothstep } from '../world/noise.js';
+
+const DEFAULT_OPTIONS = {
+  textureSize: 128,
+  period: 6,
+  octaves: 4,
+  coverage: 0.5,
+  softness: 0.2,
+  windSpeed: 0.01,
+  meander: 0.08,
+  fadeStart: 0.5,
+  fadeEnd: 3,
+  shadowOpacity: 0.22,
+  shadowOffset: { x: 0.015, y: 0.025 },
+  layers: [
+    { scale: 0.6, parallax: 0.1, speed: 1, opacity: 0.55 },
+    { scale: 0.35, parallax: 0.25, speed: 1.6, opacity: 0.4 }
+  ]
+};
+
+const SALT_LAYER = 0x9e3779b1;
+const SALT_WIND = 0x85ebca6b;
+const CLOUD_RGB = [255, 255, 255];
+const SHADOW_RGB = [24, 32, 48];
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function wrap(value, period) {
+  return ((value % period) + period) % period;
+}
+
+function periodicNoise(seed, x, y, period) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const tx = smoothstep(x - x0);
+  const ty = smoothstep(y - y0);
+  const xa = wrap(x0, period);
+  const xb = wrap(x0 + 1, period);
+  const ya = wrap(y0, period);
+  const yb = wrap(y0 + 1, period);
+  const a = hashLattice(seed, xa, ya);
+  const b = hashLattice(seed, xb, ya);
+  const c = hashLattice(seed, xa, yb);
+  const d = hashLattice(seed, xb, yb);
+  const top = a + (b - a) * tx;
+  const bottom = c + (d - c) * tx;
+  return top + (bottom - top) * ty;
+}
+
+function periodicFbm(seed, u, v, period, octaves) {
+  let amplitude = 1;
+  let frequency = 1;
+  let sum = 0;
+  let norm = 0;
+  for (let i = 0; i < octaves; i++) {
+    const octaveSeed = (seed + Math.imul(i, 0x632be5ab)) >>> 0;
+    const octavePeriod = period * frequency;
+    sum += periodicNoise(octaveSeed, u * octavePeriod, v * octavePeriod, octavePeriod) * amplitude;
+    norm += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+  return norm > 0 ? sum / norm : 0;
+}
+
+function createOffscreenCanvas(width, height) {
+  if (typeof OffscreenCanvas === 'function') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = typeof document !== 'undefined'
+    ? document.createElement('canvas')
+    : null;
+  if (!canvas) {
+    return null;
+  }
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function paintTexture(alpha, size, rgb, maxAlpha) {
+  const canvas = createOffscreenCanvas(size, size);
+  const ctx = canvas?.getContext('2d');
+  if (!ctx) {
+    return null;
+  }
+  const image = ctx.createImageData(size, size);
+  for (let i = 0; i < alpha.length; i++) {
+    const offset = i * 4;
+    image.data[offset] = rgb[0];
+    image.data[offset + 1] = rgb[1];
+    image.data[offset + 2] = rgb[2];
+    image.data[offset + 3] = Math.round(alpha[i] * maxAlpha * 255);
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+export function buildCloudAlpha(seed, { size = DEFAULT_OPTIONS.textureSize, period = DEFAULT_OPTIONS.period, octaves = DEFAULT_OPTIONS.octaves, coverage = DEFAULT_OPTIONS.coverage, softness = DEFAULT_OPTIONS.softness } = {}) {
+  const alpha = new Float32Array(size * size);
+  const threshold = 1 - clamp(coverage, 0, 1);
+  const soft = Math.max(1e-3, softness);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const value = periodicFbm(seed >>> 0, x / size, y / size, period, octaves);
+      alpha[y * size + x] = smoothstep(clamp((value - threshold) / soft, 0, 1));
+    }
+  }
+  return alpha;
+}
+
+export class CloudLayer {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      layers: Array.isArray(options.layers) ? options.layers : DEFAULT_OPTIONS.layers
+    };
+    this._seed = null;
+    this._textures = [];
+    this._patterns = new WeakMap();
+  }
+
+  _ensureTextures(seed) {
+    const normalised = (Number(seed) || 0) >>> 0;
+    if (this._seed === normalised && this._textures.length) {
+      return this._textures;
+    }
+    const { textureSize, period, octaves, coverage, softness, shadowOpacity } = this.options;
+    this._seed = normalised;
+    this._patterns = new WeakMap();
+    this._textures = this.options.layers.map((layer, index) => {
+      const layerSeed = (normalised ^ Math.imul(index + 1, SALT_LAYER)) >>> 0;
+      const alpha = buildCloudAlpha(layerSeed, { size: textureSize, period, octaves, coverage: layer.coverage ?? coverage, softness });
+      return {
+        cloud: paintTexture(alpha, textureSize, CLOUD_RGB, 1),
+        shadow: paintTexture(alpha, textureSize, SHADOW_RGB, shadowOpacity)
+      };
+    });
+    return this._textures;
+  }
+
+  windAt(seed, time, worldSize) {
+    const { base, meander, omegaX, omegaY, phaseX, phaseY } = this._windParams(seed, worldSize);
+    return {
+      x: base.x + meander * omegaX * Math.cos(omegaX * time + phaseX),
+      y: base.y + meander * omegaY * Math.cos(omegaY * time + phaseY)
+    };
+  }
+
+  offsetAt(seed, time, worldSize) {
+    const { base, meander, omegaX, omegaY, phaseX, phaseY } = this._windParams(seed, worldSize);
+    return {
+      x: base.x * time + meander * Math.sin(omegaX * time + phaseX),
+      y: base.y * time + meander * Math.sin(omegaY * time + phaseY)
+    };
+  }
+
+  _windParams(seed, worldSize) {
+    const s = ((Number(seed) || 0) ^ SALT_WIND) >>> 0;
+    const angle = hashLattice(s, 1, 0) * Math.PI * 2;
+    const speed = this.options.windSpeed * worldSize * (0.75 + hashLattice(s, 2, 0) * 0.5);
+    return {
+      base: { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed },
+      meander: this.options.meander * worldSize,
+      omegaX: 0.02 + hashLattice(s, 3, 0) * 0.02,
+      omegaY: 0.02 + hashLattice(s, 4, 0) * 0.02,
+      phaseX: hashLattice(s, 5, 0) * Math.PI * 2,
+      phaseY: hashLattice(s, 6, 0) * Math.PI * 2
+    };
+  }
+
+  opacityAt(zoom) {
+    const { fadeStart, fadeEnd } = this.options;
+    if (!Number.isFinite(zoom) || fadeEnd <= fadeStart) {
+      return 1;
+    }
+    return 1 - clamp((zoom - fadeStart) / (fadeEnd - fadeStart), 0, 1);
+  }
+
+  parallaxAt(layer, zoom) {
+    const factor = Number.isFinite(zoom) ? clamp(1 + zoom * 0.25, 0.25, 2) : 1;
+    return (layer.parallax || 0) * factor;
+  }
+
+  drawShadows(ctx, view, { seed, time = 0, bounds }) {
+    if (!bounds) return;
+    const textures = this._ensureTextures(seed);
+    const worldSize = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    const drift = this.offsetAt(seed, time, worldSize);
+    const sun = this.options.shadowOffset;
+    this.options.layers.forEach((layer, index) => {
+      const texture = textures[index]?.shadow;
+      if (!texture) return;
+      const speed = layer.speed ?? 1;
+      this._drawTiled(ctx, texture, view, bounds, {
+        x: drift.x * speed + sun.x * worldSize,
+        y: drift.y * speed + sun.y * worldSize
+      }, worldSize * layer.scale, 1);
+    });
+  }
+
+  drawClouds(ctx, view, { seed, time = 0, bounds }) {
+    if (!bounds) return;
+    const fade = this.opacityAt(view.zoom);
+    if (fade <= 0) return;
+    const textures = this._ensureTextures(seed);
+    const worldSize = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    const drift = this.offsetAt(seed, time, worldSize);
+    const centerX = (view.left + view.right) / 2;
+    const centerY = (view.top + view.bottom) / 2;
+    this.options.layers.forEach((layer, index) => {
+      const texture = textures[index]?.cloud;
+      if (!texture) return;
+      const speed = layer.speed ?? 1;
+      const parallax = this.parallaxAt(layer, view.zoom);
+      this._drawTiled(ctx, texture, view, bounds, {
+        x: drift.x * speed + centerX * parallax,
+        y: drift.y * speed + centerY * parallax
+      }, worldSize * layer.scale, (layer.opacity ?? 1) * fade);
+    });
+  }
+
+  _pattern(ctx, texture) {
+    let patterns = this._patterns.get(ctx);
+    if (!patterns) {
+      patterns = new Map();
+      this._patterns.set(ctx, patterns);
+    }
+    if (!patterns.has(texture)) {
+      patterns.set(texture, ctx.createPattern(texture, 'repeat'));
+    }
+    return patterns.get(texture);
+  }
+
+  _drawTiled(ctx, texture, view, bounds, offset, tileSize, alpha) {
+    if (!(tileSize > 0) || alpha <= 0) return;
+    const left = Math.max(view.left, bounds.minX);
+    const top = Math.max(view.top, bounds.minY);
+    const right = Math.min(view.right, bounds.maxX);
+    const bottom = Math.min(view.bottom, bounds.maxY);
+    if (right <= left || bottom <= top) return;
+    const pattern = this._pattern(ctx, texture);
+    if (!pattern) return;
+    const scale = tileSize / texture.width;
+    const originX = bounds.minX + wrap(offset.x, tileSize);
+    const originY = bounds.minY + wrap(offset.y, tileSize);
+    ctx.save();
+    ctx.globalAlpha *= alpha;
+    ctx.translate(originX, originY);
+    ctx.scale(scale, scale);
+    ctx.fillStyle = pattern;
+    ctx.fillRect((left - originX) / scale, (top - originY) / scale, (right - left) / scale, (bottom - top) / scale);
+    ctx.restore();
+  }
+}
@@ -0,0 +1,188 @@
+import { hashLattice, valueNoise } from '../world/noise.js';
+
+const DEFAULT_ANIMATIONS = {
+  sway: { type: 'sway', amplitude: 6, speed: 1.2, lean: 0.04, gustScale: 160, gustSpeed: 12, zoomMin: 1 },
+  bob: { type: 'bob', amplitude: 1.5, speed: 2, tilt: 0.08, zoomMin: 0.5 },
+  flutter: { type: 'flutter', amplitude: 0.35, speed: 9, tilt: 0.05, zoomMin: 1.5 },
+  frames: { type: 'frames', frames: [], frameRate: 4, zoomMin: 0 }
+};
+
+const ANIMATION_ALIASES = {
+  treeSway: 'sway'
+};
+
+export const IDENTITY_POSE = Object.freeze({ x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1, glyph: null });
+
+function hashString(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function normaliseFrames(spec) {
+  if (Array.isArray(spec.keyframes) && spec.keyframes.length) {
+    return spec.keyframes
+      .filter((frame) => frame && typeof frame.glyph === 'string')
+      .map((frame) => ({ glyph: frame.glyph, duration: Math.max(1e-3, finiteOr(frame.duration, 1 / spec.frameRate)) }));
+  }
+  if (Array.isArray(spec.frames) && spec.frames.length) {
+    const duration = 1 / Math.max(1e-3, spec.frameRate);
+    return spec.frames
+      .filter((glyph) => typeof glyph === 'string')
+      .map((glyph) => ({ glyph, duration }));
+  }
+  return [];
+}
+
+export class SpriteAnimator {
+  constructor({ seed = 0, animations = {} } = {}) {
+    this.seed = 0;
+    this.windAngle = 0;
+    this.animations = new Map();
+    this._resolved = new WeakMap();
+    for (const [name, spec] of Object.entries(DEFAULT_ANIMATIONS)) {
+      this.define(name, spec);
+    }
+    for (const [name, spec] of Object.entries(animations)) {
+      this.define(name, spec);
+    }
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    const normalised = (Number(seed) || 0) >>> 0;
+    this.seed = normalised;
+    this.windAngle = hashLattice(normalised, 7, 11) * Math.PI * 2;
+  }
+
+  define(name, spec = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('Animation name must be a non-empty string');
+    }
+    const base = DEFAULT_ANIMATIONS[spec.type] || DEFAULT_ANIMATIONS[name] || {};
+    this.animations.set(name, { ...base, ...spec, type: spec.type || base.type || name });
+    this._resolved = new WeakMap();
+    return this;
+  }
+
+  has(name) {
+    return this.animations.has(ANIMATION_ALIASES[name] || name);
+  }
+
+  resolve(animation) {
+    if (!animation) return null;
+    if (typeof animation === 'string') {
+      const name = ANIMATION_ALIASES[animation] || animation;
+      const spec = this.animations.get(name);
+      if (!spec) return null;
+      return this._withFrames(spec);
+    }
+    if (typeof animation !== 'object') return null;
+    const cached = this._resolved.get(animation);
+    if (cached) return cached;
+    const rawName = animation.type || animation.effect || animation.name;
+    const name = ANIMATION_ALIASES[rawName] || rawName;
+    const base = this.animations.get(name);
+    if (!base) return null;
+    const spec = this._withFrames({ ...base, ...animation, type: base.type });
+    this._resolved.set(animation, spec);
+    return spec;
+  }
+
+  _withFrames(spec) {
+    if (spec.type !== 'frames' && spec.type !== 'flutter') {
+      return spec;
+    }
+    if (!spec._frames) {
+      Object.defineProperty(spec, '_frames', { value: normaliseFrames(spec), enumerable: false });
+      Object.defineProperty(spec, '_cycle', {
+        value: spec._frames.reduce((sum, frame) => sum + frame.duration, 0),
+        enumerable: false
+      });
+    }
+    return spec;
+  }
+
+  isActive(spec, zoom) {
+    if (!spec) return false;
+    if (!Number.isFinite(zoom)) return true;
+    if (spec.zoomMin != null && zoom < spec.zoomMin) return false;
+    return spec.zoomMax == null || zoom <= spec.zoomMax;
+  }
+
+  phaseFor(spec, { id = null, x = 0, y = 0, phase = 0 } = {}) {
+    if (Number.isFinite(spec.phase)) {
+      return spec.phase + phase;
+    }
+    const key = id != null ? String(id) : `${Math.round(x * 100)},${Math.round(y * 100)}`;
+    return ((hashString(key) ^ this.seed) >>> 0) / 4294967296 * Math.PI * 2 + phase;
+  }
+
+  gustAt(spec, x, y, time) {
+    const scale = Math.max(1e-6, finiteOr(spec.gustScale, 160));
+    const drift = finiteOr(spec.gustSpeed, 0) * time;
+    const u = (x + Math.cos(this.windAngle) * drift) / scale;
+    const v = (y + Math.sin(this.windAngle) * drift) / scale;
+    return valueNoise(this.seed, u, v);
+  }
+
+  sample(animation, target = {}, time = 0, zoom = Infinity) {
+    const spec = this.resolve(animation);
+    if (!this.isActive(spec, zoom)) {
+      return IDENTITY_POSE;
+    }
+    const phase = this.phaseFor(spec, target);
+    const amplitude = finiteOr(spec.amplitude, 0);
+    const angle = phase + finiteOr(spec.speed, 1) * time;
+    switch (spec.type) {
+      case 'sway': {
+        const gust = this.gustAt(spec, target.x ?? 0, target.y ?? 0, time);
+        const strength = amplitude * (0.35 + 0.65 * gust);
+        const swing = Math.sin(angle) * strength;
+        return {
+          ...IDENTITY_POSE,
+          x: Math.cos(this.windAngle) * swing,
+          y: Math.cos(angle * 0.5) * strength * 0.1,
+          rotation: finiteOr(spec.lean, 0) * Math.sin(angle) * (0.5 + gust)
+        };
+      }
+      case 'bob':
+        return {
+          ...IDENTITY_POSE,
+          y: Math.sin(angle) * amplitude,
+          rotation: Math.cos(angle) * finiteOr(spec.tilt, 0)
+        };
+      case 'flutter': {
+        const ripple = 0.5 + 0.5 * Math.sin(angle);
+        return {
+          ...IDENTITY_POSE,
+          scaleX: 1 - amplitude * ripple,
+          rotation: Math.sin(angle * 1.7) * finiteOr(spec.tilt, 0),
+          glyph: this._frameAt(spec, time + phase)
+        };
+      }
+      case 'frames':
+        return { ...IDENTITY_POSE, glyph: this._frameAt(spec, time * finiteOr(spec.speed, 1) + phase) };
+      default:
+        return IDENTITY_POSE;
+    }
+  }
+
+  _frameAt(spec, time) {
+    const frames = spec._frames;
+    if (!frames?.length || !(spec._cycle > 0)) return null;
+    let t = ((time % spec._cycle) + spec._cycle) % spec._cycle;
+    for (const frame of frames) {
+      if (t < frame.duration) return frame.glyph;
+      t -= frame.duration;
+    }
+    return frames[frames.length - 1].glyph;
+  }
+}
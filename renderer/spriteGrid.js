@@ -0,0 +1,81 @@
+function cellKey(cx, cy) {
+  return `${cx},${cy}`;
+}
+
+export class SpriteGrid {
+  constructor({ cellSize = 64 } = {}) {
+    this.cellSize = cellSize > 0 ? cellSize : 64;
+    this.cells = new Map();
+    this.margin = 0;
+    this.size = 0;
+    this._source = null;
+    this._length = -1;
+    this._revision = undefined;
+  }
+
+  sync(placements, revision, extentOf) {
+    if (placements === this._source && placements?.length === this._length && revision === this._revision) {
+      return false;
+    }
+    this.rebuild(placements, extentOf);
+    this._revision = revision;
+    return true;
+  }
+
+  invalidate() {
+    this._source = null;
+    this._length = -1;
+  }
+
+  rebuild(placements, extentOf) {
+    this.cells.clear();
+    this.margin = 0;
+    this.size = 0;
+    this._source = placements;
+    this._length = Array.isArray(placements) ? placements.length : -1;
+    if (!Array.isArray(placements)) return;
+    placements.forEach((placement, index) => {
+      const position = placement?.position;
+      if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) return;
+      const cx = Math.floor(position.x / this.cellSize);
+      const cy = Math.floor(position.y / this.cellSize);
+      const key = cellKey(cx, cy);
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = { cx, cy, entries: [] };
+        this.cells.set(key, cell);
+      }
+      cell.entries.push({ placement, index });
+      this.size++;
+      if (typeof extentOf === 'function') {
+        const extent = extentOf(placement);
+        if (Number.isFinite(extent) && extent > this.margin) {
+          this.margin = extent;
+        }
+      }
+    });
+  }
+
+  query(bounds, out = []) {
+    const minX = Math.floor((bounds.left - this.margin) / this.cellSize);
+    const maxX = Math.floor((bounds.right + this.margin) / this.cellSize);
+    const minY = Math.floor((bounds.top - this.margin) / this.cellSize);
+    const maxY = Math.floor((bounds.bottom + this.margin) / this.cellSize);
+    const span = (maxX - minX + 1) * (maxY - minY + 1);
+    if (!Number.isFinite(span) || span > this.cells.size) {
+      for (const cell of this.cells.values()) {
+        if (cell.cx < minX || cell.cx > maxX || cell.cy < minY || cell.cy > maxY) continue;
+        for (const entry of cell.entries) out.push(entry);
+      }
+    } else {
+      for (let cy = minY; cy <= maxY; cy++) {
+        for (let cx = minX; cx <= maxX; cx++) {
+          const cell = this.cells.get(cellKey(cx, cy));
+          if (!cell) continue;
+          for (const entry of cell.entries) out.push(entry);
+        }
+      }
+    }
+    return out;
+  }
+}
@@ -1,3 +1,6 @@
+import { IDENTITY_POSE, SpriteAnimator } from './spriteAnimation.js';
+import { SpriteGrid } from './spriteGrid.js';
+
 const DEFAULT_OPTIONS = {
   mode: 'orthographic',
   chunkColumns: 32,
@@ -6,7 +9,17 @@ const DEFAULT_OPTIONS = {
   layerShadeStrength: 0.35,
   highlightStrength: 0.18,
   isoDiamondHeight: 0.95,
-  maxChunks: 256
+  isoLayerHeight: 0.08,
+  sideShadeLeft: 0.38,
+  sideShadeRight: 0.22,
+  maxChunks: 256,
+  spriteGridCell: 64,
+  spriteBudget: 4000,
+  animatedSpriteBudget: 200,
+  clusterZoom: 0.5,
+  clusterPixels: 48,
+  clusterMin: 3,
+  clusterGlyphs: { tree7x7: 'tree_cluster' }
 };
 
 function clamp(value, min, max) {
@@ -118,8 +131,14 @@ export class VoxelRenderer {
     this.chunkCache = new Map();
     this.vectorCache = new Map();
     this.spriteCache = new Map();
+    this.animator = new SpriteAnimator({ seed: world?.seed, animations: this.options.animations });
+    this.spriteGrid = new SpriteGrid({ cellSize: this.options.spriteGridCell });
+    this.spriteStats = { indexed: 0, candidates: 0, drawn: 0, animated: 0, clusters: 0 };
     this.hitProxies = new Map();
     this.visibleChunkIds = new Set();
+    this._voxelSource = null;
+    this._unsubscribeVoxels = null;
+    this._syncVoxelSubscription();
 
     if (typeof document !== 'undefined') {
       this._hitTestCanvas = document.createElement('canvas');
@@ -141,7 +160,44 @@ export class VoxelRenderer {
     }
   }
 
+  _syncVoxelSubscription() {
+    const voxels = this.world?.voxels ?? null;
+    if (voxels === this._voxelSource) {
+      return;
+    }
+    this._unsubscribeVoxels?.();
+    this._unsubscribeVoxels = null;
+    this._voxelSource = voxels;
+    this.chunkCache.clear();
+    if (voxels && typeof voxels.subscribe === 'function') {
+      this._unsubscribeVoxels = voxels.subscribe((event) => this._onVoxelChange(event));
+    }
+  }
+
+  _onVoxelChange(event) {
+    if (event.reset) {
+      this.chunkCache.clear();
+      return;
+    }
+    for (const change of event.chunks) {
+      this.chunkCache.delete(change.chunkId);
+    }
+  }
+
+  destroy() {
+    this._unsubscribeVoxels?.();
+    this._unsubscribeVoxels = null;
+    this._voxelSource = null;
+    this.chunkCache.clear();
+  }
+
   beginFrame(view) {
+    this._syncVoxelSubscription();
+    if (this._voxelSource && typeof this._voxelSource.consumeDirtyChunks === 'function') {
+      for (const { chunkId } of this._voxelSource.consumeDirtyChunks()) {
+        this.chunkCache.delete(chunkId);
+      }
+    }
     if (this.world && typeof this.world.consumeEditedNodes === 'function') {
       const editedNodes = this.world.consumeEditedNodes();
       if (Array.isArray(editedNodes) && editedNodes.length > 0) {
@@ -242,34 +298,29 @@ export class VoxelRenderer {
     return atlases;
   }
 
-  renderSprites(ctx, view, spriteLayer, carts, { renderSprites = true, renderEffects = true, preparedAtlas = null } = {}) {
+  renderSprites(ctx, view, spriteLayer, agents, { renderSprites = true, renderEffects = true, preparedAtlas = null } = {}) {
     const commands = [];
-    let commandIndex = 0;
-    const placementEntries = preparedAtlas && Array.isArray(preparedAtlas)
-      ? preparedAtlas
-      : (renderSprites && spriteLayer && Array.isArray(spriteLayer.placements)
-        ? spriteLayer.placements.map((placement) => ({ placement, cached: null }))
-        : []);
-
+    const time = view?.time ?? 0;
+    this.animator.setSeed(this.world?.seed);
     if (renderSprites) {
-      for (const entry of placementEntries) {
+      const entries = preparedAtlas && Array.isArray(preparedAtlas)
+        ? preparedAtlas
+        : this._collectSpriteEntries(spriteLayer, view);
+      const candidates = [];
+      for (const entry of entries) {
         const placement = entry.placement || entry;
-        if (!placement) continue;
+        if (!placement?.position) continue;
         if (placement.zoomMin != null && view.zoom < placement.zoomMin) continue;
         if (placement.zoomMax != null && view.zoom > placement.zoomMax) continue;
         const cached = entry.cached || this._ensureSpriteCache(placement);
         if (!cached?.glyph?.canvas) continue;
-        const glyph = cached.glyph;
-        const scale = this._resolveSpriteScale(placement, glyph);
+        const scale = this._resolveSpriteScale(placement, cached.glyph);
         if (scale.x <= 0 || scale.y <= 0) continue;
         const anchor = this._resolveAnchor(placement);
-        const offset = this._computeSpriteOffset(placement.agentRef, view?.time ?? 0);
-        const width = glyph.width * scale.x;
-        const height = glyph.height * scale.y;
-        const x = placement.position.x + offset.x - anchor.x * width;
-        const y = placement.position.y + offset.y - anchor.y * height;
-        const centerX = x + width * 0.5;
-        const centerY = y + height * 0.5;
+        const width = cached.glyph.width * scale.x;
+        const height = cached.glyph.height * scale.y;
+        const centerX = placement.position.x + (0.5 - anchor.x) * width;
+        const centerY = placement.position.y + (0.5 - anchor.y) * height;
         const radius = Math.hypot(width, height) * 0.5;
         const bounds = {
           left: centerX - radius,
@@ -278,18 +329,47 @@ export class VoxelRenderer {
           bottom: centerY + radius
         };
         if (!this._intersectsView(bounds, view)) continue;
+        candidates.push({
+          placement,
+          cached,
+          scale,
+          anchor,
+          index: entry.index ?? candidates.length,
+          priority: Number.isFinite(placement.priority) ? placement.priority : 0,
+          distance: Math.hypot(centerX - (view.left + view.right) * 0.5, centerY - (view.top + view.bottom) * 0.5),
+          animation: entry.cluster ? null : this.animator.resolve(placement.animation ?? placement.agentRef)
+        });
+      }
+      const selected = this._applySpriteBudget(candidates, view);
+      for (const candidate of selected) {
+        const { placement, cached, scale, anchor } = candidate;
+        const pose = candidate.animate
+          ? this.animator.sample(candidate.animation, {
+            id: spriteKeyForPlacement(placement),
+            x: placement.position.x,
+            y: placement.position.y,
+            phase: placement.phase ?? 0
+          }, time, view.zoom)
+          : IDENTITY_POSE;
+        const frame = pose.glyph ? this.glyphs?.byKey?.[pose.glyph] : null;
+        const glyph = frame?.canvas ? frame : cached.glyph;
+        const width = glyph.width * scale.x * pose.scaleX;
+        const height = glyph.height * scale.y * pose.scaleY;
+        const x = placement.position.x + pose.x - anchor.x * width;
+        const y = placement.position.y + pose.y - anchor.y * height;
+        const centerY = y + height * 0.5;
         commands.push({
           glyph,
           x,
           y,
           width,
           height,
-          rotation: Number.isFinite(placement.rotation) ? placement.rotation : 0,
-          centerX,
+          rotation: (Number.isFinite(placement.rotation) ? placement.rotation : 0) + pose.rotation,
+          centerX: x + width * 0.5,
           centerY,
-          order: Number.isFinite(placement.priority) ? placement.priority : 0,
+          order: candidate.priority,
           depth: centerY,
-          index: commandIndex++,
+          index: candidate.index,
           tint: placement.tint ?? null
         });
       }
@@ -319,33 +399,236 @@ export class VoxelRenderer {
       ctx.imageSmoothingEnabled = smoothing;
     }
 
-    if (renderEffects && Array.isArray(carts)) {
-      for (const cart of carts) {
-        if (!cart) continue;
-        const radius = cart.selected ? 6 : 5;
+    if (renderEffects && Array.isArray(agents)) {
+      for (const agent of agents) {
+        if (!agent?.position) continue;
+        if (typeof agent.isVisibleAt === 'function' && !agent.isVisibleAt(view.zoom)) continue;
         ctx.save();
-        ctx.fillStyle = cart.selected ? '#ffcc33' : '#333333';
-        ctx.beginPath();
-        ctx.arc(cart.position.x, cart.position.y, radius / this.camera.scale, 0, Math.PI * 2);
-        ctx.fill();
-        if (cart.path.length >= 2 && (!cart.pathZoomMin || view.zoom >= cart.pathZoomMin)) {
+        if (this._isAgentPathVisible(agent, view)) {
           ctx.beginPath();
-          cart.path.forEach((p, index) => {
+          agent.path.forEach((p, index) => {
             if (index === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
           });
-          ctx.strokeStyle = cart.pathColor || 'rgba(0,0,0,0.6)';
-          ctx.lineWidth = (cart.pathWidth || 2) / this.camera.scale;
+          ctx.strokeStyle = agent.pathColor || 'rgba(0,0,0,0.6)';
+          ctx.lineWidth = (agent.pathWidth || 2) / this.camera.scale;
           ctx.stroke();
         }
+        const sprites = typeof agent.getSprites === 'function' ? agent.getSprites() : [agent.position];
+        sprites.forEach((sprite, index) => {
+          const pose = this.animator.sample(agent.effect, {
+            id: `${agent.id}:${index}`,
+            x: sprite.x,
+            y: sprite.y,
+            phase: agent.phase ?? 0
+          }, time, view.zoom);
+          const point = {
+            ...sprite,
+            x: sprite.x + pose.x,
+            y: sprite.y + pose.y,
+            rotation: (sprite.rotation || 0) + pose.rotation
+          };
+          const glyph = (pose.glyph && this.glyphs?.byKey?.[pose.glyph])
+            || this.glyphs?.byKey?.[sprite.glyph || agent.spriteKey]
+            || null;
+          if (glyph?.canvas) {
+            this._drawAgentGlyph(ctx, glyph, point, agent);
+          } else {
+            this._drawAgentMarker(ctx, point, agent.selected);
+          }
+        });
         ctx.restore();
       }
     }
   }
 
+  invalidateSpriteIndex() {
+    this.spriteGrid.invalidate();
+  }
+
+  _collectSpriteEntries(spriteLayer, view) {
+    const placements = spriteLayer?.placements;
+    if (!Array.isArray(placements)) return [];
+    this.spriteGrid.sync(placements, spriteLayer.revision, (placement) => this._placementExtent(placement));
+    const entries = this.spriteGrid.query(view);
+    return view.zoom < this.options.clusterZoom ? this._clusterSpriteEntries(entries, view) : entries;
+  }
+
+  _placementExtent(placement) {
+    const glyph = this._ensureSpriteCache(placement)?.glyph;
+    if (!glyph) return 0;
+    const scale = this._resolveSpriteScale(placement, glyph);
+    const amplitude = this.animator.resolve(placement.animation ?? placement.agentRef)?.amplitude;
+    return Math.hypot(glyph.width * scale.x, glyph.height * scale.y) + (Number.isFinite(amplitude) ? Math.abs(amplitude) : 0);
+  }
+
+  _clusterGlyphFor(placement) {
+    if (placement.cluster === false) return null;
+    const glyphKey = typeof placement.clusterGlyph === 'string'
+      ? placement.clusterGlyph
+      : this.options.clusterGlyphs?.[placement.spriteKey || placement.key || placement.glyph];
+    return glyphKey && this.glyphs?.byKey?.[glyphKey]?.canvas ? glyphKey : null;
+  }
+
+  _clusterSpriteEntries(entries, view) {
+    const cellSize = this.options.clusterPixels / (this.camera?.scale || 1);
+    const groups = new Map();
+    const result = [];
+    for (const entry of entries) {
+      const placement = entry.placement;
+      const clusterGlyph = this._clusterGlyphFor(placement);
+      if (!clusterGlyph) {
+        result.push(entry);
+        continue;
+      }
+      if (placement.zoomMin != null && view.zoom < placement.zoomMin) continue;
+      if (placement.zoomMax != null && view.zoom > placement.zoomMax) continue;
+      const key = `${clusterGlyph}|${Math.floor(placement.position.x / cellSize)},${Math.floor(placement.position.y / cellSize)}`;
+      let group = groups.get(key);
+      if (!group) {
+        group = { glyph: clusterGlyph, members: [] };
+        groups.set(key, group);
+      }
+      group.members.push(entry);
+    }
+    for (const { glyph, members } of groups.values()) {
+      if (members.length < this.options.clusterMin) {
+        result.push(...members);
+        continue;
+      }
+      let sumX = 0;
+      let sumY = 0;
+      let index = Infinity;
+      let priority = -Infinity;
+      for (const member of members) {
+        sumX += member.placement.position.x;
+        sumY += member.placement.position.y;
+        index = Math.min(index, member.index);
+        if (Number.isFinite(member.placement.priority)) {
+          priority = Math.max(priority, member.placement.priority);
+        }
+      }
+      const base = this._resolveSpriteScale(members[0].placement, null);
+      const factor = Math.min(3, Math.sqrt(members.length));
+      result.push({
+        index,
+        cluster: true,
+        placement: {
+          spriteKey: glyph,
+          position: { x: sumX / members.length, y: sumY / members.length },
+          scale: { x: base.x * factor, y: base.y * factor },
+          priority: Number.isFinite(priority) ? priority : undefined,
+          clusterSize: members.length
+        }
+      });
+    }
+    return result;
+  }
+
+  _applySpriteBudget(candidates, view) {
+    const spriteBudget = Math.max(0, this.options.spriteBudget);
+    const animatedBudget = Math.max(0, this.options.animatedSpriteBudget);
+    let active = 0;
+    for (const candidate of candidates) {
+      candidate.animate = this.animator.isActive(candidate.animation, view.zoom);
+      if (candidate.animate) active++;
+    }
+    let selected = candidates;
+    if (candidates.length > spriteBudget || active > animatedBudget) {
+      selected = candidates.slice().sort((a, b) => {
+        if (a.priority !== b.priority) return b.priority - a.priority;
+        if (a.distance !== b.distance) return a.distance - b.distance;
+        return a.index - b.index;
+      });
+      if (selected.length > spriteBudget) {
+        selected.length = spriteBudget;
+      }
+      let animated = 0;
+      for (const candidate of selected) {
+        if (!candidate.animate) continue;
+        candidate.animate = animated < animatedBudget;
+        if (candidate.animate) animated++;
+      }
+    }
+    this.spriteStats = {
+      indexed: this.spriteGrid.size,
+      candidates: candidates.length,
+      drawn: selected.length,
+      animated: selected.reduce((count, candidate) => count + (candidate.animate ? 1 : 0), 0),
+      clusters: selected.reduce((count, candidate) => count + (candidate.placement.clusterSize ? 1 : 0), 0)
+    };
+    return selected;
+  }
+
+  _isAgentPathVisible(agent, view) {
+    if (!Array.isArray(agent.path) || agent.path.length < 2) return false;
+    if (agent.type !== 'cart' && !agent.selected) return false;
+    if (agent.pathZoomMin != null && view.zoom < agent.pathZoomMin) return false;
+    return agent.pathZoomMax == null || view.zoom <= agent.pathZoomMax;
+  }
+
+  _drawAgentMarker(ctx, point, selected) {
+    const radius = selected ? 6 : 5;
+    ctx.fillStyle = selected ? '#ffcc33' : '#333333';
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, radius / this.camera.scale, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  _drawAgentGlyph(ctx, glyph, sprite, agent) {
+    const scale = this._resolveSpriteScale({ scale: agent.spriteScale ?? 2 }, glyph);
+    const width = (glyph.width * scale.x) / this.camera.scale;
+    const height = (glyph.height * scale.y) / this.camera.scale;
+    const anchor = this._resolveAnchor({ anchor: agent.spriteAnchor });
+    const left = -anchor.x * width;
+    const top = -anchor.y * height;
+    const smoothing = ctx.imageSmoothingEnabled;
+    ctx.imageSmoothingEnabled = false;
+    ctx.save();
+    ctx.translate(sprite.x, sprite.y);
+    if (sprite.rotation) {
+      ctx.rotate(sprite.rotation);
+    }
+    if (sprite.flipX) {
+      ctx.scale(-1, 1);
+    }
+    if (agent.selected) {
+      const pad = 2 / this.camera.scale;
+      ctx.fillStyle = 'rgba(255,204,51,0.35)';
+      ctx.fillRect(left - pad, top - pad, width + pad * 2, height + pad * 2);
+      ctx.strokeStyle = '#ffcc33';
+      ctx.lineWidth = 1.5 / this.camera.scale;
+      ctx.strokeRect(left - pad, top - pad, width + pad * 2, height + pad * 2);
+    }
+    ctx.drawImage(glyph.canvas, left, top, width, height);
+    ctx.restore();
+    ctx.imageSmoothingEnabled = smoothing;
+  }
+
   pickBuildingAt(worldX, worldY) {
     return this.pickProxyAt(worldX, worldY, (proxy) => proxy.type === 'building');
   }
 
+  pickVoxelAt(worldX, worldY, { layer = 'terrain', column = false } = {}) {
+    const voxels = this.world?.voxels;
+    if (!voxels || typeof voxels.raycast !== 'function') return null;
+    const layers = voxels.maxHeight;
+    // Cast so the ray crosses the top of layer z exactly where that face is drawn.
+    const origin = { x: worldX, y: worldY + this._isoLift(layers - 1), z: layers };
+    const hit = voxels.raycast(origin, { x: 0, y: this._isoLift(0) - this._isoLift(1), z: -1 });
+    if (!hit) return null;
+    let { z, face } = hit;
+    if (column) {
+      const picked = voxels.pickColumn(hit.x + 0.5, hit.y + 0.5);
+      z = picked?.z ?? -1;
+      face = 'top';
+    }
+    return { x: hit.x, y: hit.y, z, layer, chunkId: hit.chunkId, face };
+  }
+
+  _isoLift(z) {
+    return this.options.mode === 'isometric' ? (z + 1) * this.options.isoLayerHeight : 0;
+  }
+
   pickProxyAt(worldX, worldY, filter) {
     if (!this._hitTestContext) return null;
     const ctx = this._hitTestContext;
@@ -394,6 +677,7 @@ export class VoxelRenderer {
       bounds.maxY.toFixed(2),
       terrainId,
       patches,
+      node?.revision ?? 0,
       paletteKey,
       this.options.mode,
       this.options.chunkColumns,
@@ -448,6 +732,10 @@ export class VoxelRenderer {
       }
     }
 
+    if (Array.isArray(node.columns) && node.columns.some((column) => column?.top)) {
+      this._drawVoxelColumns(context, node, bounds);
+    }
+
     this._strokeChunkOutline(context, bounds, colors);
 
     return {
@@ -460,6 +748,95 @@ export class VoxelRenderer {
     };
   }
 
+  _drawVoxelColumns(ctx, node, bounds) {
+    const side = Math.round(Math.sqrt(node.columns.length));
+    if (side <= 0) return;
+    const layers = node.voxels ? Math.max(1, Math.round(node.voxels.length / node.columns.length)) : 1;
+    const isometric = this.options.mode === 'isometric';
+    for (let localY = 0; localY < side; localY++) {
+      for (let localX = 0; localX < side; localX++) {
+        const column = node.columns[localY * side + localX];
+        if (!column?.top) continue;
+        const minX = bounds.minX + localX;
+        const minY = bounds.minY + localY;
+        if (minX >= bounds.maxX || minY >= bounds.maxY) continue;
+        const cellBounds = {
+          minX,
+          minY,
+          maxX: Math.min(minX + 1, bounds.maxX),
+          maxY: Math.min(minY + 1, bounds.maxY)
+        };
+        const descriptor = this._resolveTileDescriptor(column.top.tileId);
+        const glyph = this._resolveColumnGlyph(column, descriptor);
+        const shading = this._computeHeightShading(column.top.z, layers);
+        if (isometric) {
+          this._drawExtrudedColumn(ctx, cellBounds, glyph, descriptor, shading, column.top.z);
+        } else {
+          this._drawOrthographicColumn(ctx, cellBounds, glyph, descriptor, shading);
+        }
+      }
+    }
+  }
+
+  _drawExtrudedColumn(ctx, cellBounds, glyph, descriptor, shading, z) {
+    const width = cellBounds.maxX - cellBounds.minX;
+    const height = cellBounds.maxY - cellBounds.minY;
+    const diamondHeight = height * this.options.isoDiamondHeight;
+    const baseY = cellBounds.minY + (height - diamondHeight);
+    const lift = this._isoLift(z);
+    const centerX = cellBounds.minX + width * 0.5;
+    const midY = baseY + diamondHeight * 0.5;
+    const bottomY = baseY + diamondHeight;
+    const color = descriptor?.color || '#888888';
+
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(cellBounds.minX, midY - lift);
+    ctx.lineTo(centerX, bottomY - lift);
+    ctx.lineTo(centerX, bottomY);
+    ctx.lineTo(cellBounds.minX, midY);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = `rgba(0,0,0,${this.options.sideShadeLeft})`;
+    ctx.fill();
+
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(centerX, bottomY - lift);
+    ctx.lineTo(cellBounds.maxX, midY - lift);
+    ctx.lineTo(cellBounds.maxX, midY);
+    ctx.lineTo(centerX, bottomY);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = `rgba(0,0,0,${this.options.sideShadeRight})`;
+    ctx.fill();
+    ctx.restore();
+
+    const lifted = {
+      minX: cellBounds.minX,
+      minY: cellBounds.minY - lift,
+      maxX: cellBounds.maxX,
+      maxY: cellBounds.maxY - lift
+    };
+    this._drawDiamondColumn(ctx, lifted, glyph, descriptor, shading);
+  }
+
+  _computeHeightShading(z, layers) {
+    const t = layers > 1 ? clamp(z / (layers - 1), 0, 1) : 0;
+    return {
+      shade: clamp((1 - t) * this.options.layerShadeStrength * 0.6, 0, 0.85),
+      highlight: clamp(t * this.options.highlightStrength * 2, 0, 0.5)
+    };
+  }
+
+  _resolveColumnGlyph(column, descriptor) {
+    if (column?.spriteKey && this.glyphs?.byKey?.[column.spriteKey]) {
+      return this.glyphs.byKey[column.spriteKey];
+    }
+    return this._resolveGlyphForDescriptor(descriptor);
+  }
+
   _strokeChunkOutline(ctx, bounds, colors) {
     if (!ctx) return;
     ctx.save();
@@ -703,21 +1080,6 @@ export class VoxelRenderer {
     return { x: ax, y: ay };
   }
 
-  _computeSpriteOffset(agent, time) {
-    if (!agent) return { x: 0, y: 0 };
-    const effect = agent.effect || agent.type;
-    if (effect === 'treeSway') {
-      const amplitude = Number.isFinite(agent.amplitude) ? agent.amplitude : 6;
-      const speed = Number.isFinite(agent.speed) ? agent.speed : 1.2;
-      const phase = (agent.phase || 0) + speed * time;
-      return {
-        x: Math.sin(phase) * amplitude,
-        y: Math.cos(phase * 0.5) * amplitude * 0.1
-      };
-    }
-    return { x: 0, y: 0 };
-  }
-
   _intersectsView(bounds, view) {
     if (!bounds || !view) return true;
     return !(bounds.right < view.left || bounds.left > view.right || bounds.bottom < view.top || bounds.top > view.bottom);
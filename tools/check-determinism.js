@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+import paletteData from '../data/paletteData.js';
+import { World } from '../world.js';
+import { checkDeterminism } from '../world/determinism.js';
+
+function usage() {
+  console.log(`Usage: node check-determinism.js [options]\n\n` +
+    `Saves a sample world after --ticks steps, reloads it, advances both copies\n` +
+    `--resume more steps and compares them.\n\n` +
+    `Options:\n` +
+    `  --ticks <n>            Steps before saving (default: 600)\n` +
+    `  --resume <n>           Steps after reloading (default: 600)\n` +
+    `  --seed <n>             World seed (default: 1)\n` +
+    `  --tolerance <n>        Allowed numeric difference (default: 0)`);
+}
+
+function parseArgs(argv) {
+  const args = { ticks: 600, resume: 600, seed: 1, tolerance: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    switch (token) {
+      case '--ticks':
+        args.ticks = Math.max(0, Math.floor(Number(argv[++i]) || 0));
+        break;
+      case '--resume':
+        args.resume = Math.max(0, Math.floor(Number(argv[++i]) || 0));
+        break;
+      case '--seed':
+        args.seed = Number(argv[++i]) >>> 0;
+        break;
+      case '--tolerance':
+        args.tolerance = Math.max(0, Number(argv[++i]) || 0);
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        console.warn(`Unknown argument: ${token}`);
+    }
+  }
+  return args;
+}
+
+function buildPalette(data) {
+  const tiles = data.tiles.map((tile, index) => ({ ...tile, id: tile.id != null ? tile.id : index }));
+  const byKey = {};
+  const byId = {};
+  for (const tile of tiles) {
+    byKey[tile.key] = tile;
+    byId[tile.id] = tile;
+  }
+  const defaultTileKey = data.defaultTile && byKey[data.defaultTile] ? data.defaultTile : tiles[0].key;
+  return { tiles, byKey, byId, defaultTileKey, defaultTileId: byKey[defaultTileKey].id, colors: { ...(data.colors || {}) } };
+}
+
+function buildWorld(palette, seed) {
+  const world = new World(palette, { seed, bounds: { minX: 0, minY: 0, maxX: 64, maxY: 64 } });
+  world.addCart({
+    path: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 5 }],
+    speed: 5,
+    travelMode: 'pingpong',
+    stops: [{ name: 'mid', index: 1, dwell: 0.5 }],
+    acceleration: 3,
+    deceleration: 3
+  });
+  world.addCart({
+    path: [{ x: 4, y: 40 }, { x: 30, y: 40 }],
+    speed: 4,
+    travelMode: 'once',
+    stops: [{ name: 'depot', index: 1, dwell: 2 }]
+  });
+  world.addAgent('boat', {
+    path: [{ x: 0, y: 0 }, { x: 10, y: 10 }],
+    travelMode: 'scheduled',
+    schedule: { start: 2, interval: 3 }
+  });
+  world.addAgent('herd', { position: { x: 30, y: 30 } });
+  world.addAgent('cloud', { position: { x: 3, y: 3 } });
+  return world;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    usage();
+    return;
+  }
+  const palette = buildPalette(paletteData);
+  const result = checkDeterminism(() => buildWorld(palette, args.seed), {
+    ticks: args.ticks,
+    resumeTicks: args.resume,
+    tolerance: args.tolerance
+  });
+  const report = (label, mismatches) => {
+    for (const { path, expected, actual } of mismatches) {
+      console.error(`${label} ${path}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+  report('after reload', result.reloadMismatches);
+  report(`at tick ${result.tick}`, result.mismatches);
+  if (!result.ok) {
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`Deterministic: saved at tick ${result.savedTick}, matched through tick ${result.tick}.`);
+}
+
+main();
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+import { encodeWords } from '../world/chunkStorage.js';
+import { VoxelWorld } from '../world/voxelWorld.js';
+
+const CHUNK_SIZE = 32;
+const CHUNK_HEIGHT = 32;
+const BOUNDS = { minX: 0, minY: 0, maxX: 64, maxY: 64 };
+
+// Columns written the way the original format stored them: raw tile ids with
+// 0 doubling as air, and a dense column list carrying each column's top.
+const COLUMNS = [
+  { x: 1, y: 2, stack: [3, 3, 5] },
+  { x: 4, y: 4, stack: [0, 0, 0] },
+  { x: 7, y: 9, stack: [0, 2, 0] },
+  { x: 31, y: 31, stack: [6] }
+];
+
+function buildBaselineRecord() {
+  const columnArea = CHUNK_SIZE * CHUNK_SIZE;
+  const voxels = new Uint32Array(columnArea * CHUNK_HEIGHT);
+  const columns = Array.from({ length: columnArea }, () => ({ top: null, spriteKey: null, variant: null, metadata: null }));
+  for (const { x, y, stack } of COLUMNS) {
+    const columnIndex = y * CHUNK_SIZE + x;
+    stack.forEach((tileId, z) => {
+      voxels[z * columnArea + columnIndex] = tileId;
+    });
+    columns[columnIndex].top = { tileId: stack[stack.length - 1], z: stack.length - 1 };
+  }
+  return {
+    type: 'chunk',
+    id: 'chunk:0,0',
+    chunkX: 0,
+    chunkY: 0,
+    bounds: { minX: 0, minY: 0, maxX: CHUNK_SIZE, maxY: CHUNK_SIZE },
+    metadata: { levelLabel: 'chunk', name: 'Chunk 0,0', parentPath: ['world:root'], tags: [] },
+    payloadRefs: { terrain: null },
+    voxels: encodeWords(voxels),
+    columns
+  };
+}
+
+function checkWorld(world, label) {
+  const failures = [];
+  for (const { x, y, stack } of COLUMNS) {
+    stack.forEach((tileId, z) => {
+      const actual = world.getVoxel(x + 0.5, y + 0.5, z);
+      if (actual !== tileId) {
+        failures.push(`${label}: voxel ${x},${y},${z} is ${actual}, expected ${tileId}`);
+      }
+    });
+    const above = world.getVoxel(x + 0.5, y + 0.5, stack.length);
+    if (above !== null) {
+      failures.push(`${label}: voxel ${x},${y},${stack.length} is ${above}, expected air`);
+    }
+    const top = world.pickColumn(x + 0.5, y + 0.5).column?.top;
+    if (!top || top.z !== stack.length - 1 || top.tileId !== stack[stack.length - 1]) {
+      failures.push(`${label}: column ${x},${y} top is ${JSON.stringify(top)}`);
+    }
+  }
+  if (world.getVoxel(10.5, 10.5, 0) !== null) {
+    failures.push(`${label}: untouched column 10,10 is not air`);
+  }
+  return failures;
+}
+
+function createWorld() {
+  return new VoxelWorld({ bounds: BOUNDS, chunkSize: CHUNK_SIZE, chunkHeight: CHUNK_HEIGHT });
+}
+
+function main() {
+  const legacy = createWorld();
+  legacy.loadFromStream([buildBaselineRecord()]);
+  const failures = checkWorld(legacy, 'legacy load');
+  const resaved = createWorld();
+  resaved.loadFromStream(JSON.parse(JSON.stringify(legacy.streamChunks())));
+  failures.push(...checkWorld(resaved, 'round trip'));
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(failure));
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`Legacy chunk records load and round-trip (${COLUMNS.length} columns checked).`);
+}
+
+main();
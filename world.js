@@ -1,8 +1,15 @@
 import { VoxelWorld } from './world/voxelWorld.js';
 import { WorldEditor } from './world/editor.js';
+import { TerrainGenerator } from './world/terrainGenerator.js';
+import { RoadNetwork } from './world/roadNetwork.js';
+import { AgentScheduler, createDefaultAgentRegistry } from './world/agents.js';
+
+export { Cart } from './world/agents.js';
 
 const DEFAULT_ZOOM_MIN = Number.NEGATIVE_INFINITY;
 const DEFAULT_ZOOM_MAX = null;
+const AGENT_HISTORY_LIMIT = 100;
+const PLACEMENT_ID_PATTERN = /^sprite-(\d+)$/;
 
 export const DEFAULT_WORLD_SEED = 0x3d3d3d3d;
 
@@ -70,6 +77,27 @@ function clonePlacement(placement) {
   return cloned;
 }
 
+function isPoint(value) {
+  return Boolean(value) && Number.isFinite(value.x) && Number.isFinite(value.y);
+}
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function pickVariant(variants, roll) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let threshold = roll * total;
+  for (const variant of variants) {
+    threshold -= variant.weight;
+    if (threshold < 0) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
 function cloneTerrainPatch(patch) {
   if (!patch) return null;
   const cloned = { ...patch };
@@ -98,75 +126,6 @@ function pointWithinBounds(bounds, point) {
   };
 }
 
-export class Cart {
-  constructor(id) {
-    this.id = id;
-    this.type = 'cart';
-    this.path = [];
-    this.position = { x: 0, y: 0 };
-    this.speed = 0.1;
-    this.progress = 0;
-    this.loop = true;
-    this.selected = false;
-    this.segments = null;
-    this.totalLength = 0;
-    this.spriteKey = 'cart';
-    this.spriteScale = null;
-    this.spriteAnchor = null;
-    this.spriteRotation = 0;
-    this.zoomMin = DEFAULT_ZOOM_MIN;
-    this.zoomMax = DEFAULT_ZOOM_MAX;
-    this.pathZoomMin = DEFAULT_ZOOM_MIN;
-    this.pathZoomMax = DEFAULT_ZOOM_MAX;
-    this.pathColor = 'rgba(0,0,0,0.6)';
-    this.pathWidth = null;
-    this.effect = null;
-    this.phase = 0;
-  }
-
-  computeSegments() {
-    this.segments = [];
-    let total = 0;
-    for (let i = 0; i < this.path.length - 1; i++) {
-      const start = this.path[i];
-      const end = this.path[i + 1];
-      const dx = end.x - start.x;
-      const dy = end.y - start.y;
-      const length = Math.hypot(dx, dy);
-      this.segments.push({ start, end, length });
-      total += length;
-    }
-    this.totalLength = total;
-  }
-
-  update(dt) {
-    if (this.path.length < 2 || this.segments === null) return;
-    this.progress += this.speed * dt;
-    const total = this.totalLength;
-    if (total <= 0) return;
-    if (this.progress >= total) {
-      if (this.loop) {
-        this.progress = this.progress % total;
-        if (Math.abs(this.progress) < 1e-9) {
-          this.progress = 0;
-        }
-      } else {
-        this.progress = total - 0.0001;
-      }
-    }
-    let dist = this.progress;
-    for (const seg of this.segments) {
-      if (dist <= seg.length) {
-        const t = seg.length > 0 ? dist / seg.length : 0;
-        this.position.x = seg.start.x + (seg.end.x - seg.start.x) * t;
-        this.position.y = seg.start.y + (seg.end.y - seg.start.y) * t;
-        break;
-      }
-      dist -= seg.length;
-    }
-  }
-}
-
 function normaliseBounds(bounds) {
   if (!bounds) {
     return { minX: 0, minY: 0, maxX: 1, maxY: 1 };
@@ -179,7 +138,7 @@ function normaliseBounds(bounds) {
 }
 
 export class World {
-  constructor(palette, { bounds, seed, maxLod = 5, zoomThresholds, autoSeed = true } = {}) {
+  constructor(palette, { bounds, seed, maxLod = 5, zoomThresholds, autoSeed = true, terrainParams = null, roadOptions = null, agentRegistry = null, agentStep } = {}) {
     if (!palette) {
       throw new Error('Palette is required to create a World');
     }
@@ -189,16 +148,21 @@ export class World {
     this.seed = normaliseSeed(seed);
     this._rng = createMulberry32(this.seed);
     this.autoSeed = autoSeed !== false;
+    this.terrainParams = terrainParams && typeof terrainParams === 'object' ? { ...terrainParams } : null;
+    this.roadOptions = roadOptions && typeof roadOptions === 'object' ? { ...roadOptions } : null;
+    this._roadNetwork = null;
+    this._unwatchTerrain = null;
 
     this.terrain = new VoxelWorld({
       bounds: this.bounds,
       chunkSize: 32,
       chunkHeight: 32,
-      zoomThresholds
+      zoomThresholds,
+      palette: this.palette
     });
+    this._watchTerrain();
     this.editor = new WorldEditor();
     this._editedNodes = new Set();
-    this.voxels = new VoxelWorld({ palette: this.palette, chunkSize: 32, maxHeight: 96 });
 
     this.layers = {
       terrain: {
@@ -214,7 +178,8 @@ export class World {
       sprite: {
         zoomMin: DEFAULT_ZOOM_MIN,
         zoomMax: DEFAULT_ZOOM_MAX,
-        placements: []
+        placements: [],
+        revision: 0
       },
       effect: {
         zoomMin: DEFAULT_ZOOM_MIN,
@@ -223,9 +188,16 @@ export class World {
       }
     };
 
-    this.cartAgents = [];
-    this.carts = this.cartAgents;
-    this.nextCartId = 1;
+    this.agentRegistry = agentRegistry || createDefaultAgentRegistry();
+    this.scheduler = new AgentScheduler({ step: agentStep });
+    this.agents = this.layers.effect.agents;
+    this.nextAgentId = 1;
+    this.nextPlacementId = 1;
+    this._writingSprites = false;
+    this._listeners = new Map();
+    this._agentUndo = [];
+    this._agentRedo = [];
+    this._agentEdit = null;
 
     if (this.autoSeed) {
       this._seedTerrain();
@@ -233,14 +205,9 @@ export class World {
   }
 
   _seedTerrain() {
-    const availableTiles = this.palette?.tiles?.map(tile => tile.id) || [];
-    for (let cx = 0; cx < this.terrain.chunkCountX; cx++) {
-      for (let cy = 0; cy < this.terrain.chunkCountY; cy++) {
-        const chunk = this.terrain.getChunk(cx, cy);
-        if (!chunk) continue;
-        this._assignTileId(chunk.id, this._randomTileId(availableTiles));
-      }
-    }
+    const generator = new TerrainGenerator({ seed: this.seed, params: this.terrainParams });
+    this.terrainParams = generator.toJSON().params;
+    this.terrain.setGenerator(generator);
   }
 
   _randomTileId(availableTiles) {
@@ -268,8 +235,9 @@ export class World {
     this._rng = createMulberry32(this.seed);
     const maxLod = this.terrain.maxLod;
     const zoomThresholds = this.terrain.zoomThresholds;
-    this.terrain = new VoxelWorld({ bounds: this.bounds, chunkSize: 32, chunkHeight: 32, zoomThresholds });
+    this.terrain = new VoxelWorld({ bounds: this.bounds, chunkSize: 32, chunkHeight: 32, zoomThresholds, palette: this.palette });
     this.layers.terrain.voxelWorld = this.terrain;
+    this._watchTerrain();
     if (this.editor) {
       this.editor.clearAll();
     }
@@ -277,6 +245,55 @@ export class World {
     if (this.autoSeed) {
       this._seedTerrain();
     }
+    for (const placement of this.layers.sprite.placements) {
+      if (placement.chunkId) {
+        placement.chunkId = this._placementChunkId(placement, true);
+      }
+    }
+    this._writeChunkSprites();
+  }
+
+  get voxels() {
+    return this.terrain;
+  }
+
+  _watchTerrain() {
+    this._unwatchTerrain?.();
+    this._roadNetwork = null;
+    this._unwatchTerrain = this.terrain.subscribe(({ reason, chunks }) => {
+      if (reason === 'payload' || reason === 'load') {
+        this._roadNetwork = null;
+      }
+      if (reason === 'load') {
+        this._syncChunkSprites();
+      } else if (reason === 'payload' && !this._writingSprites) {
+        this._syncChunkSprites(chunks.map(change => change.chunkId));
+      }
+    });
+  }
+
+  getRoadNetwork() {
+    if (!this._roadNetwork) {
+      const features = [];
+      for (const node of this.terrain.nodes.values()) {
+        for (const feature of node?.payloadRefs?.vector || []) {
+          features.push({ feature, source: node.id });
+        }
+      }
+      for (const feature of this.layers.vector.features) {
+        features.push({ feature, source: 'world' });
+      }
+      this._roadNetwork = RoadNetwork.fromFeatures(features, this.roadOptions || undefined);
+    }
+    return this._roadNetwork;
+  }
+
+  invalidateRoadNetwork() {
+    this._roadNetwork = null;
+  }
+
+  route(from, to, options = {}) {
+    return this.getRoadNetwork().route(from, to, options);
   }
 
   get width() {
@@ -320,7 +337,7 @@ export class World {
     if (!this.palette?.byId?.[tileId]) {
       return null;
     }
-    const node = this.terrain.sampleFeatureAt(point, zoom);
+    const node = point ? this.terrain.getChunkAt(point.x, point.y) : null;
     if (!node) return null;
     this._assignTileId(node.id, tileId);
     return node;
@@ -334,47 +351,543 @@ export class World {
     }
   }
 
-  addCart() {
-    const cart = new Cart(this.nextCartId++);
-    cart.position = {
-      x: this.bounds.minX + this.width / 2,
-      y: this.bounds.minY + this.height / 2
-    };
-    cart.speed = this.width / 200;
-    cart.phase = cart.id * 0.37;
-    this.cartAgents.push(cart);
-    return cart;
+  addAgent(type, { origin = null, destination = null, routeOptions = {}, ...options } = {}, { undoable = false } = {}) {
+    const agent = this.agentRegistry.create(type, this.nextAgentId++, options);
+    if (!options.position && !(Array.isArray(options.path) && options.path.length >= 2)) {
+      agent.position = origin
+        ? this.clampToBounds(origin.x, origin.y)
+        : { x: this.bounds.minX + this.width / 2, y: this.bounds.minY + this.height / 2 };
+    }
+    if (!Number.isFinite(options.phase)) {
+      agent.phase = agent.id * 0.37;
+    }
+    if (origin && destination && typeof agent.computeSegments === 'function') {
+      this.routeAgent(agent, origin, destination, routeOptions);
+    }
+    this.agents.push(agent);
+    if (undoable) {
+      this._pushAgentHistory({ id: agent.id, index: this.agents.length - 1, before: null, after: agent.toJSON() });
+    }
+    return agent;
   }
 
-  selectCartAt(wx, wy) {
+  addCart(options = {}, flags = {}) {
+    return this.addAgent('cart', { speed: this.width / 200, ...options }, flags);
+  }
+
+  getAgent(id) {
+    return this.agents.find(agent => agent.id === id) || null;
+  }
+
+  removeAgent(agentOrId, { undoable = false } = {}) {
+    const id = typeof agentOrId === 'object' ? agentOrId?.id : agentOrId;
+    const index = this.agents.findIndex(agent => agent.id === id);
+    if (index < 0) {
+      return null;
+    }
+    const [removed] = this.agents.splice(index, 1);
+    if (undoable) {
+      this._pushAgentHistory({ id, index, before: removed.toJSON(), after: null });
+    }
+    return removed;
+  }
+
+  _resolveAgent(agentOrId) {
+    return typeof agentOrId === 'object' ? (agentOrId && this.agents.includes(agentOrId) ? agentOrId : null) : this.getAgent(agentOrId);
+  }
+
+  beginAgentEdit(agentOrId, label = 'edit') {
+    const agent = this._resolveAgent(agentOrId);
+    if (!agent) {
+      return null;
+    }
+    if (this._agentEdit) {
+      this.commitAgentEdit();
+    }
+    this._agentEdit = { id: agent.id, label, before: agent.toAuthoredJSON() };
+    return agent;
+  }
+
+  commitAgentEdit() {
+    const edit = this._agentEdit;
+    this._agentEdit = null;
+    if (!edit) {
+      return false;
+    }
+    const agent = this.getAgent(edit.id);
+    if (!agent) {
+      return false;
+    }
+    const after = agent.toAuthoredJSON();
+    if (JSON.stringify(after) === JSON.stringify(edit.before)) {
+      return false;
+    }
+    this._pushAgentHistory({ id: edit.id, label: edit.label, index: this.agents.indexOf(agent), before: edit.before, after });
+    return true;
+  }
+
+  cancelAgentEdit() {
+    const edit = this._agentEdit;
+    this._agentEdit = null;
+    if (edit) {
+      this.getAgent(edit.id)?.assign(edit.before);
+    }
+  }
+
+  editAgent(agentOrId, mutate, label = 'edit') {
+    const agent = this._resolveAgent(agentOrId);
+    if (!agent || typeof mutate !== 'function') {
+      return false;
+    }
+    if (this._agentEdit?.id === agent.id) {
+      mutate(agent);
+      return true;
+    }
+    this.beginAgentEdit(agent, label);
+    mutate(agent);
+    return this.commitAgentEdit();
+  }
+
+  insertAgentWaypoint(agentOrId, index, point) {
+    let inserted = -1;
+    this.editAgent(agentOrId, (agent) => {
+      inserted = agent.insertWaypoint(index, this.clampToBounds(point.x, point.y));
+    }, 'insert-waypoint');
+    return inserted;
+  }
+
+  moveAgentWaypoint(agentOrId, index, point) {
+    return this.editAgent(agentOrId, (agent) => agent.moveWaypoint(index, this.clampToBounds(point.x, point.y)), 'move-waypoint');
+  }
+
+  removeAgentWaypoint(agentOrId, index) {
+    return this.editAgent(agentOrId, (agent) => agent.removeWaypoint(index), 'remove-waypoint');
+  }
+
+  setAgentProperties(agentOrId, properties = {}) {
+    return this.editAgent(agentOrId, (agent) => agent.assign(properties), 'properties');
+  }
+
+  snapToRoad(point, { maxDistance = Infinity } = {}) {
+    if (!point) {
+      return null;
+    }
+    const hit = this.getRoadNetwork().nearest(point, { maxDistance });
+    return hit ? { x: hit.x, y: hit.y } : null;
+  }
+
+  _pushAgentHistory(entry) {
+    this._agentUndo.push(entry);
+    if (this._agentUndo.length > AGENT_HISTORY_LIMIT) {
+      this._agentUndo.shift();
+    }
+    this._agentRedo.length = 0;
+  }
+
+  _applyAgentRecord(id, record, index) {
+    const existing = this.getAgent(id);
+    if (!record) {
+      if (existing) {
+        this.agents.splice(this.agents.indexOf(existing), 1);
+      }
+      return;
+    }
+    if (existing) {
+      existing.assign(record);
+      return;
+    }
+    const agent = this.agentRegistry.fromJSON(record);
+    if (agent) {
+      this.agents.splice(Math.max(0, Math.min(this.agents.length, index)), 0, agent);
+    }
+  }
+
+  undoAgentEdit() {
+    this.cancelAgentEdit();
+    const entry = this._agentUndo.pop();
+    if (!entry) {
+      return false;
+    }
+    this._applyAgentRecord(entry.id, entry.before, entry.index);
+    this._agentRedo.push(entry);
+    return true;
+  }
+
+  redoAgentEdit() {
+    this.cancelAgentEdit();
+    const entry = this._agentRedo.pop();
+    if (!entry) {
+      return false;
+    }
+    this._applyAgentRecord(entry.id, entry.after, entry.index);
+    this._agentUndo.push(entry);
+    return true;
+  }
+
+  canUndoAgentEdit() {
+    return this._agentUndo.length > 0;
+  }
+
+  canRedoAgentEdit() {
+    return this._agentRedo.length > 0;
+  }
+
+  getAgentsByType(type) {
+    return this.agents.filter(agent => agent.type === type);
+  }
+
+  get carts() {
+    return this.getAgentsByType('cart');
+  }
+
+  get cartAgents() {
+    return this.carts;
+  }
+
+  get time() {
+    return this.scheduler.time;
+  }
+
+  routeAgent(agent, origin, destination, options = {}) {
+    if (!agent || !origin || !destination) {
+      return null;
+    }
+    const base = agent.routeOptions || {};
+    const route = this.route(origin, destination, {
+      ...base,
+      ...options,
+      kindCosts: { ...(base.kindCosts || {}), ...(options.kindCosts || {}) }
+    });
+    agent.origin = clonePoint(origin);
+    agent.destination = clonePoint(destination);
+    agent.path = route ? route.path.map(clonePoint) : [];
+    agent.loop = false;
+    agent.computeSegments();
+    agent.restart();
+    agent.position = clonePoint(route ? route.path[0] : origin);
+    return route;
+  }
+
+  selectAgentAt(wx, wy, { filter = null, radius = null } = {}) {
     let selected = null;
-    const selectionRadius = Math.max(this.width, this.height) * 0.01;
+    const selectionRadius = Number.isFinite(radius) ? radius : Math.max(this.width, this.height) * 0.01;
     let minDistSq = selectionRadius * selectionRadius;
-    for (const cart of this.cartAgents) {
-      const dx = cart.position.x - wx;
-      const dy = cart.position.y - wy;
+    for (const agent of this.agents) {
+      if (filter && !filter(agent)) continue;
+      const dx = agent.position.x - wx;
+      const dy = agent.position.y - wy;
       const d = dx * dx + dy * dy;
       if (d < minDistSq) {
-        selected = cart;
+        selected = agent;
         minDistSq = d;
       }
     }
     if (selected) {
-      this.cartAgents.forEach(c => c.selected = false);
+      this.agents.forEach(a => a.selected = false);
       selected.selected = true;
       return selected;
     }
     return null;
   }
 
+  selectCartAt(wx, wy) {
+    return this.selectAgentAt(wx, wy, { filter: agent => agent.type === 'cart' });
+  }
+
   get selectedCart() {
-    return this.cartAgents.find(c => c.selected) || null;
+    return this.carts.find(c => c.selected) || null;
   }
 
-  update(dt) {
-    for (const cart of this.cartAgents) {
-      cart.update(dt);
+  getSpritePlacement(id) {
+    return this.layers.sprite.placements.find(placement => placement.id === id) || null;
+  }
+
+  addSpritePlacement(placement = {}, { chunk = null } = {}) {
+    const added = this._insertPlacement(placement, chunk);
+    if (!added) {
+      return null;
+    }
+    if (added.chunkId) {
+      this._writeChunkSprites([added.chunkId]);
+    }
+    this._touchSprites('add', [added]);
+    return added;
+  }
+
+  updateSpritePlacement(id, updates = {}) {
+    const placement = this.getSpritePlacement(id);
+    if (!placement || !updates || typeof updates !== 'object') {
+      return null;
+    }
+    const previousChunk = placement.chunkId ?? null;
+    const { chunkId, position, ...rest } = updates;
+    delete rest.id;
+    Object.assign(placement, rest);
+    const moved = isPoint(position);
+    if (moved) {
+      placement.position = clonePoint(this.clampToBounds(position.x, position.y));
+    }
+    if (chunkId !== undefined) {
+      placement.chunkId = this._placementChunkId(placement, chunkId);
+    } else if (previousChunk && moved) {
+      placement.chunkId = this._placementChunkId(placement, true);
+    }
+    if (!placement.chunkId) {
+      delete placement.chunkId;
+    }
+    const touched = [previousChunk, placement.chunkId].filter(Boolean);
+    if (touched.length) {
+      this._writeChunkSprites(touched);
+    }
+    this._touchSprites('update', [placement]);
+    return placement;
+  }
+
+  removeSpritePlacement(id) {
+    const placements = this.layers.sprite.placements;
+    const index = placements.findIndex(placement => placement.id === id);
+    if (index < 0) {
+      return false;
+    }
+    const [removed] = placements.splice(index, 1);
+    if (removed.chunkId) {
+      this._writeChunkSprites([removed.chunkId]);
+    }
+    this._touchSprites('remove', [removed]);
+    return true;
+  }
+
+  removeSpritePlacementsInRadius(center, radius, { filter = null } = {}) {
+    if (!isPoint(center) || !(radius > 0)) {
+      return [];
+    }
+    const removed = [];
+    const kept = [];
+    for (const placement of this.layers.sprite.placements) {
+      const inside = Math.hypot(placement.position.x - center.x, placement.position.y - center.y) <= radius;
+      if (inside && (!filter || filter(placement))) {
+        removed.push(placement);
+      } else {
+        kept.push(placement);
+      }
+    }
+    if (!removed.length) {
+      return removed;
+    }
+    this.layers.sprite.placements = kept;
+    const chunkIds = [...new Set(removed.map(placement => placement.chunkId).filter(Boolean))];
+    if (chunkIds.length) {
+      this._writeChunkSprites(chunkIds);
+    }
+    this._touchSprites('remove', removed);
+    return removed;
+  }
+
+  pickSpritePlacementAt(wx, wy, { radius = 4, filter = null } = {}) {
+    let best = null;
+    let bestDistance = radius;
+    for (const placement of this.layers.sprite.placements) {
+      if (filter && !filter(placement)) continue;
+      const distance = Math.hypot(placement.position.x - wx, placement.position.y - wy);
+      if (distance <= bestDistance) {
+        best = placement;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  scatterSprites(center, {
+    radius = 16,
+    spacing = 4,
+    density = 0.6,
+    jitter = 0.8,
+    variants = ['tree7x7'],
+    scale = [0.8, 1.2],
+    minDistance = null,
+    animation = null,
+    seed = null,
+    chunk = true,
+    filter = null
+  } = {}) {
+    if (!isPoint(center) || !(radius > 0) || !(spacing > 0)) {
+      return [];
+    }
+    const pool = (Array.isArray(variants) ? variants : [variants])
+      .map(variant => typeof variant === 'string' ? { spriteKey: variant } : variant)
+      .filter(variant => variant && typeof variant.spriteKey === 'string')
+      .map(variant => ({ ...variant, weight: Number.isFinite(variant.weight) && variant.weight > 0 ? variant.weight : 1 }));
+    if (!pool.length) {
+      return [];
+    }
+    const [scaleMin, scaleMax] = Array.isArray(scale) ? scale : [scale, scale];
+    const clearance = Number.isFinite(minDistance) ? minDistance : spacing * 0.75;
+    const strokeSeed = Number.isFinite(seed)
+      ? seed >>> 0
+      : (this.seed ^ Math.imul(this.nextPlacementId, 0x9e3779b1)) >>> 0;
+    const rng = createMulberry32(strokeSeed);
+    const nearby = this.layers.sprite.placements
+      .filter(placement => Math.hypot(placement.position.x - center.x, placement.position.y - center.y) <= radius + clearance)
+      .map(placement => placement.position);
+    const added = [];
+    const cells = Math.ceil(radius / spacing);
+    for (let gy = -cells; gy <= cells; gy++) {
+      for (let gx = -cells; gx <= cells; gx++) {
+        const offsetX = rng() - 0.5;
+        const offsetY = rng() - 0.5;
+        const keep = rng();
+        const roll = rng();
+        const size = rng();
+        if (keep >= density) continue;
+        const x = center.x + (gx + offsetX * jitter) * spacing;
+        const y = center.y + (gy + offsetY * jitter) * spacing;
+        if (Math.hypot(x - center.x, y - center.y) > radius) continue;
+        if (x < this.bounds.minX || x > this.bounds.maxX || y < this.bounds.minY || y > this.bounds.maxY) continue;
+        if (clearance > 0 && nearby.some(point => Math.hypot(point.x - x, point.y - y) < clearance)) continue;
+        const position = { x: roundTo(x, 2), y: roundTo(y, 2) };
+        if (filter && !filter(position)) continue;
+        const { weight, ...variant } = pickVariant(pool, roll);
+        const placement = this._insertPlacement({
+          animation,
+          ...variant,
+          position,
+          scale: roundTo((Number.isFinite(variant.scale) ? variant.scale : 1) * (scaleMin + (scaleMax - scaleMin) * size), 3)
+        }, chunk);
+        if (placement) {
+          added.push(placement);
+          nearby.push(placement.position);
+        }
+      }
     }
+    if (!added.length) {
+      return added;
+    }
+    const chunkIds = [...new Set(added.map(placement => placement.chunkId).filter(Boolean))];
+    if (chunkIds.length) {
+      this._writeChunkSprites(chunkIds);
+    }
+    this._touchSprites('scatter', added);
+    return added;
+  }
+
+  _insertPlacement(placement, chunk) {
+    if (!placement || !isPoint(placement.position)) {
+      return null;
+    }
+    const stored = clonePlacement(placement);
+    if (stored.animation == null) {
+      delete stored.animation;
+    }
+    if (typeof stored.id !== 'string' || !stored.id || this.getSpritePlacement(stored.id)) {
+      stored.id = `sprite-${this.nextPlacementId}`;
+    }
+    this._claimPlacementId(stored.id);
+    const chunkId = this._placementChunkId(stored, stored.chunkId ?? chunk);
+    if (chunkId) {
+      stored.chunkId = chunkId;
+    } else {
+      delete stored.chunkId;
+    }
+    this.layers.sprite.placements.push(stored);
+    return stored;
+  }
+
+  _claimPlacementId(id) {
+    const match = typeof id === 'string' ? PLACEMENT_ID_PATTERN.exec(id) : null;
+    if (match) {
+      this.nextPlacementId = Math.max(this.nextPlacementId, Number(match[1]) + 1);
+    }
+  }
+
+  _placementChunkId(placement, chunk) {
+    if (!chunk) {
+      return null;
+    }
+    if (typeof chunk === 'string') {
+      return this.terrain.getChunkById(chunk) ? chunk : null;
+    }
+    return this.terrain.getChunkAt(placement.position.x, placement.position.y)?.id ?? null;
+  }
+
+  _writeChunkSprites(chunkIds = null) {
+    const groups = new Map((chunkIds || []).map(id => [id, []]));
+    for (const placement of this.layers.sprite.placements) {
+      if (!placement.chunkId) continue;
+      if (chunkIds && !groups.has(placement.chunkId)) continue;
+      if (!groups.has(placement.chunkId)) {
+        groups.set(placement.chunkId, []);
+      }
+      groups.get(placement.chunkId).push(clonePlacement(placement));
+    }
+    this._writingSprites = true;
+    try {
+      for (const [chunkId, sprites] of groups) {
+        if (this.terrain.setNodePayload(chunkId, { sprites })) {
+          this._flagNodeEdited(chunkId);
+        }
+      }
+    } finally {
+      this._writingSprites = false;
+    }
+  }
+
+  _syncChunkSprites(chunkIds = null) {
+    const nodes = chunkIds
+      ? chunkIds.map(id => this.terrain.getNode(id)).filter(Boolean)
+      : Array.from(this.terrain.nodes.values());
+    const synced = new Set(nodes.map(node => node.id));
+    const placements = this.layers.sprite.placements.filter(placement => chunkIds
+      ? !synced.has(placement.chunkId)
+      : !placement.chunkId);
+    for (const node of nodes) {
+      for (const sprite of node.payloadRefs?.sprites || []) {
+        if (!isPoint(sprite?.position)) continue;
+        const placement = clonePlacement(sprite);
+        placement.chunkId = node.id;
+        if (typeof placement.id !== 'string' || !placement.id) {
+          placement.id = `sprite-${this.nextPlacementId}`;
+          sprite.id = placement.id;
+        }
+        this._claimPlacementId(placement.id);
+        placements.push(placement);
+      }
+    }
+    this.layers.sprite.placements = placements;
+    this._touchSprites('sync', []);
+  }
+
+  _touchSprites(action, placements) {
+    this.layers.sprite.revision = (this.layers.sprite.revision || 0) + 1;
+    this.emit('sprite-change', { action, placements });
+  }
+
+  on(type, listener) {
+    if (typeof listener !== 'function') {
+      return () => {};
+    }
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set());
+    }
+    this._listeners.get(type).add(listener);
+    return () => this._listeners.get(type)?.delete(listener);
+  }
+
+  emit(type, detail = {}) {
+    const listeners = this._listeners.get(type);
+    if (!listeners || listeners.size === 0) return;
+    const event = { type, ...detail };
+    for (const listener of [...listeners]) {
+      listener(event);
+    }
+  }
+
+  update(dt) {
+    return this.scheduler.advance(dt, (step, tick) => {
+      const context = { world: this, step, tick, time: tick * step, emit: (type, detail) => this.emit(type, detail) };
+      for (const agent of this.agents) {
+        agent.update(step, context);
+      }
+    });
   }
 
   getTileDescriptor(tileId) {
@@ -402,6 +915,13 @@ export class World {
       return [this.voxels?.defaultMaterial ?? 'grass'];
     }
     const materials = new Set();
+    if (Array.isArray(this.palette.tiles)) {
+      for (const tile of this.palette.tiles) {
+        if (tile?.key) {
+          materials.add(tile.key);
+        }
+      }
+    }
     if (this.palette.materials) {
       for (const key of Object.keys(this.palette.materials)) {
         materials.add(key);
@@ -718,27 +1238,28 @@ export class World {
     this._editedNodes.add(nodeId);
   }
 
-  serialize() {
-    const records = [];
-    records.push({
+  serializeHeader() {
+    return {
       type: 'world',
-      version: 2,
+      version: 4,
       seed: this.seed,
       bounds: { ...this.bounds },
       paletteDefaultTileId: this.defaultTileId,
       zoomThresholds: [...this.terrain.zoomThresholds],
-      carts: this.cartAgents.map((cart) => ({
-        id: cart.id,
-        path: cart.path.map(clonePoint),
-        position: clonePoint(cart.position),
-        speed: cart.speed,
-        progress: cart.progress,
-        loop: cart.loop
-      })),
+      generator: this.terrain.generator ? this.terrain.generator.toJSON() : null,
+      clock: { tick: this.scheduler.tick, step: this.scheduler.step, accumulator: this.scheduler.accumulator },
+      nextAgentId: this.nextAgentId,
+      agents: this.agents.map(agent => agent.toJSON()),
       vectorFeatures: this.layers.vector.features.map(cloneFeature).filter(Boolean),
-      spritePlacements: this.layers.sprite.placements.map(clonePlacement).filter(Boolean),
-      effectAgents: this.layers.effect.agents.map(agent => ({ ...agent }))
-    });
+      nextPlacementId: this.nextPlacementId,
+      spritePlacements: this.layers.sprite.placements
+        .filter(placement => placement && !placement.chunkId)
+        .map(clonePlacement)
+    };
+  }
+
+  serialize() {
+    const records = [this.serializeHeader()];
     for (const record of this.terrain.streamChunks()) {
       records.push(record);
     }
@@ -766,13 +1287,20 @@ export class World {
       ? worldRecord.zoomThresholds
       : this.terrain.zoomThresholds;
     const previousMaxLod = this.terrain?.maxLod ?? 5;
+    const generator = TerrainGenerator.fromJSON(worldRecord.generator, { seed: this.seed });
+    if (generator) {
+      this.terrainParams = generator.toJSON().params;
+    }
     this.terrain = new VoxelWorld({
       bounds: this.bounds,
       chunkSize: 32,
       chunkHeight: 32,
-      zoomThresholds
+      zoomThresholds,
+      palette: this.palette,
+      generator
     });
     this.layers.terrain.voxelWorld = this.terrain;
+    this._watchTerrain();
     this.terrain.loadFromStream(nodeRecords);
     if (this.editor) {
       this.editor.clearAll();
@@ -796,29 +1324,55 @@ export class World {
     this.layers.vector.features = Array.isArray(worldRecord.vectorFeatures)
       ? worldRecord.vectorFeatures.map(cloneFeature).filter(Boolean)
       : [];
+    this.nextPlacementId = Number.isFinite(worldRecord.nextPlacementId) ? worldRecord.nextPlacementId : 1;
     this.layers.sprite.placements = Array.isArray(worldRecord.spritePlacements)
-      ? worldRecord.spritePlacements.map(clonePlacement).filter(Boolean)
+      ? worldRecord.spritePlacements.map(clonePlacement).filter(placement => placement && isPoint(placement.position))
       : [];
-
-    this.cartAgents = [];
-    this.carts = this.cartAgents;
-    this.nextCartId = 1;
-    if (Array.isArray(worldRecord.carts)) {
-      for (const cd of worldRecord.carts) {
-        const cart = new Cart(cd.id ?? this.nextCartId++);
-        cart.path = Array.isArray(cd.path) ? cd.path.map(clonePoint) : [];
-        cart.position = cd.position ? clonePoint(cd.position) : { x: this.bounds.minX, y: this.bounds.minY };
-        cart.speed = Number.isFinite(cd.speed) ? cd.speed : this.width / 200;
-        cart.progress = Number.isFinite(cd.progress) ? cd.progress : 0;
-        cart.loop = cd.loop !== false;
-        cart.computeSegments();
-        this.cartAgents.push(cart);
-        this.nextCartId = Math.max(this.nextCartId, cart.id + 1);
+    for (const placement of this.layers.sprite.placements) {
+      delete placement.chunkId;
+      if (Number.isFinite(placement.id)) {
+        placement.id = String(placement.id);
+      } else if (typeof placement.id !== 'string' || !placement.id) {
+        placement.id = null;
       }
+      this._claimPlacementId(placement.id);
     }
-
-    this.layers.effect.agents = Array.isArray(worldRecord.effectAgents)
-      ? worldRecord.effectAgents.map(agent => ({ ...agent }))
-      : [];
+    for (const placement of this.layers.sprite.placements) {
+      if (!placement.id) {
+        placement.id = `sprite-${this.nextPlacementId++}`;
+      }
+    }
+    this._syncChunkSprites();
+
+    this.agents.length = 0;
+    this.layers.effect.agents = this.agents;
+    this._agentUndo.length = 0;
+    this._agentRedo.length = 0;
+    this._agentEdit = null;
+    this.nextAgentId = 1;
+    const agentRecords = Array.isArray(worldRecord.agents)
+      ? worldRecord.agents
+      : Array.isArray(worldRecord.carts)
+        ? worldRecord.carts.map(record => ({ type: 'cart', ...record }))
+        : [];
+    const legacyEffects = Array.isArray(worldRecord.effectAgents) ? worldRecord.effectAgents : [];
+    for (const record of [...agentRecords, ...legacyEffects]) {
+      const agent = this.agentRegistry.fromJSON({ ...record, id: record.id ?? this.nextAgentId });
+      if (!agent) continue;
+      if (!record.position && !(Array.isArray(record.path) && record.path.length >= 2)) {
+        agent.position = { x: this.bounds.minX, y: this.bounds.minY };
+      }
+      if (!Number.isFinite(record.speed) && typeof agent.computeSegments === 'function') {
+        agent.speed = this.width / 200;
+      }
+      this.agents.push(agent);
+      if (Number.isFinite(agent.id)) {
+        this.nextAgentId = Math.max(this.nextAgentId, agent.id + 1);
+      }
+    }
+    if (Number.isFinite(worldRecord.nextAgentId)) {
+      this.nextAgentId = Math.max(this.nextAgentId, worldRecord.nextAgentId);
+    }
+    this.scheduler.reset(worldRecord.clock?.tick ?? 0, worldRecord.clock?.accumulator ?? 0);
   }
 }
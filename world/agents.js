@@ -0,0 +1,1035 @@
+export const AGENT_STEP = 1 / 60;
+export const AGENT_RECORD_VERSION = 1;
+
+const DEFAULT_ZOOM_MIN = Number.NEGATIVE_INFINITY;
+const DEFAULT_ZOOM_MAX = null;
+const DEFAULT_MAX_STEPS = 240;
+const HEADING_MODES = new Set(['rotate', 'flip', 'none']);
+const TRAVEL_MODES = new Set(['loop', 'pingpong', 'once', 'scheduled']);
+const TRAVEL_STATES = new Set(['moving', 'dwelling', 'waiting', 'complete']);
+
+function clonePoint(pt) {
+  return { x: pt.x, y: pt.y };
+}
+
+function isPoint(value) {
+  return Boolean(value) && Number.isFinite(value.x) && Number.isFinite(value.y);
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const FIELD_CHECKS = {
+  any: () => true,
+  id: v => Number.isFinite(v) || typeof v === 'string',
+  integer: Number.isInteger,
+  number: Number.isFinite,
+  'number?': v => v === null || Number.isFinite(v),
+  boolean: v => typeof v === 'boolean',
+  string: v => typeof v === 'string',
+  'string?': v => v === null || typeof v === 'string',
+  'strings?': v => v === null || (Array.isArray(v) && v.every(item => typeof item === 'string')),
+  point: isPoint,
+  'point?': v => v === null || isPoint(v),
+  points: v => Array.isArray(v) && v.every(isPoint),
+  'scale?': v => v === null || Number.isFinite(v) || isPoint(v),
+  'object?': v => v === null || (typeof v === 'object' && !Array.isArray(v)),
+  objects: v => Array.isArray(v) && v.every(item => item && typeof item === 'object')
+};
+
+export function validateAgentRecord(record, fields) {
+  const errors = [];
+  if (!record || typeof record !== 'object') {
+    return ['record must be an object'];
+  }
+  if (!FIELD_CHECKS.id(record.id)) {
+    errors.push('id is required');
+  }
+  for (const [name, spec] of Object.entries(fields)) {
+    const value = record[name];
+    if (value === undefined) continue;
+    const check = typeof spec === 'function' ? spec : FIELD_CHECKS[spec];
+    if (check && !check(value)) {
+      errors.push(`${name} must be ${typeof spec === 'function' ? 'a valid value' : spec.replace('?', ' or null')}`);
+    }
+  }
+  return errors;
+}
+
+function encodeRouteOptions(options) {
+  if (!options || typeof options !== 'object') {
+    return null;
+  }
+  const encoded = {};
+  if (Number.isFinite(options.maxSnapDistance)) {
+    encoded.maxSnapDistance = options.maxSnapDistance;
+  }
+  if (options.kindCosts && typeof options.kindCosts === 'object') {
+    encoded.kindCosts = {};
+    for (const [kind, cost] of Object.entries(options.kindCosts)) {
+      encoded.kindCosts[kind] = Number.isFinite(cost) ? cost : null;
+    }
+  }
+  return encoded;
+}
+
+function decodeRouteOptions(options) {
+  const decoded = encodeRouteOptions(options);
+  if (decoded?.kindCosts) {
+    for (const [kind, cost] of Object.entries(decoded.kindCosts)) {
+      decoded.kindCosts[kind] = cost === null ? Infinity : cost;
+    }
+  }
+  return decoded;
+}
+
+function cloneStop(stop) {
+  if (!stop || typeof stop !== 'object') {
+    return null;
+  }
+  const clone = {
+    name: typeof stop.name === 'string' ? stop.name : null,
+    dwell: Math.max(0, finiteOr(stop.dwell, 0))
+  };
+  if (Number.isInteger(stop.index)) clone.index = stop.index;
+  if (Number.isFinite(stop.distance)) clone.distance = stop.distance;
+  if (isPoint(stop)) {
+    clone.x = stop.x;
+    clone.y = stop.y;
+  }
+  return clone;
+}
+
+function cloneSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return null;
+  }
+  return {
+    start: finiteOr(schedule.start, 0),
+    interval: Number.isFinite(schedule.interval) && schedule.interval > 0 ? schedule.interval : null,
+    times: Array.isArray(schedule.times) ? schedule.times.filter(Number.isFinite).sort((a, b) => a - b) : []
+  };
+}
+
+function hashSeed(value) {
+  let hash = 2166136261;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function nextRandom(state) {
+  let t = (state + 0x6D2B79F5) >>> 0;
+  let r = Math.imul(t ^ (t >>> 15), 1 | t);
+  r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+  return { state: t, value: ((r ^ (r >>> 14)) >>> 0) / 4294967296 };
+}
+
+export class Agent {
+  constructor(id, type = 'agent') {
+    this.id = id;
+    this.type = type;
+    this.position = { x: 0, y: 0 };
+    this.selected = false;
+    this.spriteKey = null;
+    this.spriteScale = null;
+    this.spriteAnchor = null;
+    this.spriteRotation = 0;
+    this.zoomMin = DEFAULT_ZOOM_MIN;
+    this.zoomMax = DEFAULT_ZOOM_MAX;
+    this.phase = 0;
+  }
+
+  assign(options = {}) {
+    if (!options || typeof options !== 'object') {
+      return this;
+    }
+    if (isPoint(options.position)) {
+      this.position = clonePoint(options.position);
+    }
+    if (typeof options.spriteKey === 'string') {
+      this.spriteKey = options.spriteKey;
+    }
+    if (options.spriteScale !== undefined) {
+      this.spriteScale = options.spriteScale;
+    }
+    if (options.spriteAnchor !== undefined) {
+      this.spriteAnchor = options.spriteAnchor ? clonePoint(options.spriteAnchor) : null;
+    }
+    this.spriteRotation = finiteOr(options.spriteRotation, this.spriteRotation);
+    if (options.zoomMin !== undefined) {
+      this.zoomMin = finiteOr(options.zoomMin, DEFAULT_ZOOM_MIN);
+    }
+    if (options.zoomMax !== undefined) {
+      this.zoomMax = finiteOr(options.zoomMax, DEFAULT_ZOOM_MAX);
+    }
+    this.phase = finiteOr(options.phase, this.phase);
+    return this;
+  }
+
+  describeFields() {
+    return {
+      version: 'integer',
+      type: 'string',
+      position: 'point',
+      spriteKey: 'string?',
+      spriteScale: 'scale?',
+      spriteAnchor: 'point?',
+      spriteRotation: 'number',
+      zoomMin: 'number?',
+      zoomMax: 'number?',
+      phase: 'number'
+    };
+  }
+
+  runtimeFields() {
+    return ['position'];
+  }
+
+  toAuthoredJSON() {
+    const record = this.toJSON();
+    for (const key of this.runtimeFields()) {
+      delete record[key];
+    }
+    return record;
+  }
+
+  update() {}
+
+  isVisibleAt(zoom) {
+    if (!Number.isFinite(zoom)) {
+      return true;
+    }
+    if (this.zoomMin != null && zoom < this.zoomMin) {
+      return false;
+    }
+    return this.zoomMax == null || zoom <= this.zoomMax;
+  }
+
+  getSprites() {
+    return [{ x: this.position.x, y: this.position.y, glyph: this.spriteKey, rotation: this.spriteRotation }];
+  }
+
+  toJSON() {
+    return {
+      version: AGENT_RECORD_VERSION,
+      id: this.id,
+      type: this.type,
+      position: clonePoint(this.position),
+      spriteKey: this.spriteKey,
+      spriteScale: this.spriteScale,
+      spriteAnchor: this.spriteAnchor ? clonePoint(this.spriteAnchor) : null,
+      spriteRotation: this.spriteRotation,
+      zoomMin: Number.isFinite(this.zoomMin) ? this.zoomMin : null,
+      zoomMax: Number.isFinite(this.zoomMax) ? this.zoomMax : null,
+      phase: this.phase
+    };
+  }
+}
+
+export class PathAgent extends Agent {
+  constructor(id, type = 'path') {
+    super(id, type);
+    this.path = [];
+    this.speed = 0.1;
+    this.progress = 0;
+    this.travelMode = 'loop';
+    this.direction = 1;
+    this.velocity = 0;
+    this.acceleration = Infinity;
+    this.deceleration = Infinity;
+    this.stops = [];
+    this.schedule = null;
+    this.state = 'moving';
+    this.stopIndex = -1;
+    this.dwellRemaining = 0;
+    this.lastDeparture = null;
+    this.segments = null;
+    this.cumulative = null;
+    this.stopDistances = [];
+    this.totalLength = 0;
+    this.pathZoomMin = DEFAULT_ZOOM_MIN;
+    this.pathZoomMax = DEFAULT_ZOOM_MAX;
+    this.pathColor = 'rgba(0,0,0,0.6)';
+    this.pathWidth = null;
+    this.effect = null;
+    this.origin = null;
+    this.destination = null;
+    this.routeOptions = null;
+    this.heading = 0;
+    this.headingMode = 'rotate';
+    this.spriteFrames = null;
+    this.frameDistance = 1;
+  }
+
+  get loop() {
+    return this.travelMode === 'loop';
+  }
+
+  set loop(value) {
+    this.setTravelMode(value ? 'loop' : 'once');
+  }
+
+  setTravelMode(mode) {
+    if (!TRAVEL_MODES.has(mode)) {
+      throw new Error(`Unknown travel mode: ${mode}`);
+    }
+    this.travelMode = mode;
+    if (mode === 'scheduled') {
+      this.state = 'waiting';
+    } else if (this.state === 'waiting' || this.state === 'complete') {
+      this.state = 'moving';
+    }
+    return this;
+  }
+
+  restart() {
+    this.progress = 0;
+    this.direction = 1;
+    this.velocity = 0;
+    this.stopIndex = -1;
+    this.dwellRemaining = 0;
+    this.state = this.travelMode === 'scheduled' ? 'waiting' : 'moving';
+    this._syncPosition();
+    return this;
+  }
+
+  assign(options = {}) {
+    super.assign(options);
+    if (!options || typeof options !== 'object') {
+      return this;
+    }
+    this.speed = finiteOr(options.speed, this.speed);
+    this.progress = finiteOr(options.progress, this.progress);
+    if (TRAVEL_MODES.has(options.travelMode)) {
+      if (options.travelMode !== this.travelMode) {
+        this.setTravelMode(options.travelMode);
+      }
+    } else if (options.loop !== undefined) {
+      this.loop = options.loop !== false;
+    }
+    if (options.acceleration !== undefined) {
+      this.acceleration = options.acceleration > 0 ? options.acceleration : Infinity;
+    }
+    if (options.deceleration !== undefined) {
+      this.deceleration = options.deceleration > 0 ? options.deceleration : Infinity;
+    }
+    if (Array.isArray(options.stops)) {
+      this.stops = options.stops.map(cloneStop).filter(Boolean);
+    }
+    if (options.schedule !== undefined) {
+      this.schedule = cloneSchedule(options.schedule);
+    }
+    if (TRAVEL_STATES.has(options.state)) {
+      this.state = options.state;
+    }
+    if (options.direction === -1 || options.direction === 1) {
+      this.direction = options.direction;
+    }
+    this.velocity = Math.max(0, finiteOr(options.velocity, this.velocity));
+    this.stopIndex = Number.isInteger(options.stopIndex) ? options.stopIndex : this.stopIndex;
+    this.dwellRemaining = Math.max(0, finiteOr(options.dwellRemaining, this.dwellRemaining));
+    if (options.lastDeparture !== undefined) {
+      this.lastDeparture = finiteOr(options.lastDeparture, null);
+    }
+    if (options.pathZoomMin !== undefined) {
+      this.pathZoomMin = finiteOr(options.pathZoomMin, DEFAULT_ZOOM_MIN);
+    }
+    if (options.pathZoomMax !== undefined) {
+      this.pathZoomMax = finiteOr(options.pathZoomMax, DEFAULT_ZOOM_MAX);
+    }
+    if (typeof options.pathColor === 'string') {
+      this.pathColor = options.pathColor;
+    }
+    if (options.pathWidth !== undefined) {
+      this.pathWidth = finiteOr(options.pathWidth, null);
+    }
+    if (options.effect !== undefined) {
+      this.effect = options.effect ?? null;
+    }
+    if (options.origin !== undefined) {
+      this.origin = isPoint(options.origin) ? clonePoint(options.origin) : null;
+    }
+    if (options.destination !== undefined) {
+      this.destination = isPoint(options.destination) ? clonePoint(options.destination) : null;
+    }
+    if (options.routeOptions !== undefined) {
+      this.routeOptions = decodeRouteOptions(options.routeOptions);
+    }
+    if (HEADING_MODES.has(options.headingMode)) {
+      this.headingMode = options.headingMode;
+    }
+    if (options.spriteFrames !== undefined) {
+      this.spriteFrames = Array.isArray(options.spriteFrames)
+        ? options.spriteFrames.filter(key => typeof key === 'string')
+        : null;
+    }
+    if (Number.isFinite(options.frameDistance) && options.frameDistance > 0) {
+      this.frameDistance = options.frameDistance;
+    }
+    if (Array.isArray(options.path)) {
+      this.path = options.path.filter(isPoint).map(clonePoint);
+    }
+    if (Array.isArray(options.path) || Array.isArray(options.stops)) {
+      this.computeSegments();
+      this._syncPosition();
+    }
+    return this;
+  }
+
+  describeFields() {
+    return {
+      ...super.describeFields(),
+      path: 'points',
+      speed: 'number',
+      progress: 'number',
+      loop: 'boolean',
+      travelMode: v => TRAVEL_MODES.has(v),
+      direction: v => v === 1 || v === -1,
+      velocity: 'number',
+      acceleration: 'number?',
+      deceleration: 'number?',
+      stops: 'objects',
+      schedule: 'object?',
+      state: v => TRAVEL_STATES.has(v),
+      stopIndex: 'integer',
+      dwellRemaining: 'number',
+      lastDeparture: 'number?',
+      pathZoomMin: 'number?',
+      pathZoomMax: 'number?',
+      pathColor: 'string',
+      pathWidth: 'number?',
+      effect: 'string?',
+      origin: 'point?',
+      destination: 'point?',
+      routeOptions: 'object?',
+      headingMode: v => HEADING_MODES.has(v),
+      spriteFrames: 'strings?',
+      frameDistance: 'number'
+    };
+  }
+
+  runtimeFields() {
+    return [...super.runtimeFields(), 'progress', 'direction', 'velocity', 'state', 'stopIndex', 'dwellRemaining', 'lastDeparture'];
+  }
+
+  computeSegments() {
+    this.segments = [];
+    this.cumulative = [0];
+    let total = 0;
+    for (let i = 0; i < this.path.length - 1; i++) {
+      const start = this.path[i];
+      const end = this.path[i + 1];
+      const dx = end.x - start.x;
+      const dy = end.y - start.y;
+      const length = Math.hypot(dx, dy);
+      this.segments.push({ start, end, length });
+      total += length;
+      this.cumulative.push(total);
+    }
+    this.totalLength = total;
+    this.stopDistances = this.stops.map(stop => this._resolveStopDistance(stop));
+    const first = this.segments.find(seg => seg.length > 0);
+    if (first) {
+      this.heading = Math.atan2(first.end.y - first.start.y, first.end.x - first.start.x);
+    }
+  }
+
+  setPath(points) {
+    this.path = Array.isArray(points) ? points.filter(isPoint).map(clonePoint) : [];
+    this.computeSegments();
+    this.progress = Math.max(0, Math.min(this.totalLength, this.progress));
+    if (this.path.length >= 2 && this.totalLength > 0) {
+      this._syncPosition();
+    } else if (this.path.length > 0) {
+      this.position = clonePoint(this.path[0]);
+    }
+    return this;
+  }
+
+  insertWaypoint(index, point) {
+    if (!isPoint(point)) return -1;
+    const at = Math.max(0, Math.min(this.path.length, Math.floor(index)));
+    for (const stop of this.stops) {
+      if (Number.isInteger(stop.index) && stop.index >= at) stop.index++;
+    }
+    const path = this.path.slice();
+    path.splice(at, 0, clonePoint(point));
+    this.setPath(path);
+    return at;
+  }
+
+  moveWaypoint(index, point) {
+    if (!isPoint(point) || index < 0 || index >= this.path.length) return false;
+    const path = this.path.slice();
+    path[index] = clonePoint(point);
+    this.setPath(path);
+    return true;
+  }
+
+  removeWaypoint(index) {
+    if (index < 0 || index >= this.path.length) return false;
+    this.stops = this.stops.filter(stop => stop.index !== index);
+    for (const stop of this.stops) {
+      if (Number.isInteger(stop.index) && stop.index > index) stop.index--;
+    }
+    const path = this.path.slice();
+    path.splice(index, 1);
+    this.setPath(path);
+    return true;
+  }
+
+  _resolveStopDistance(stop) {
+    if (Number.isFinite(stop.distance)) {
+      return Math.max(0, Math.min(this.totalLength, stop.distance));
+    }
+    let index = Number.isInteger(stop.index) ? stop.index : -1;
+    if (index < 0 && isPoint(stop)) {
+      let best = Infinity;
+      this.path.forEach((pt, i) => {
+        const d = Math.hypot(pt.x - stop.x, pt.y - stop.y);
+        if (d < best) {
+          best = d;
+          index = i;
+        }
+      });
+    }
+    if (index < 0 || index >= this.cumulative.length) {
+      return null;
+    }
+    return this.cumulative[index];
+  }
+
+  segmentIndexAt(distance) {
+    const cumulative = this.cumulative;
+    if (!cumulative || cumulative.length < 2) {
+      return -1;
+    }
+    let lo = 0;
+    let hi = cumulative.length - 2;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (cumulative[mid] <= distance) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return lo;
+  }
+
+  update(dt, context = {}) {
+    if (this.path.length < 2 || this.segments === null) return;
+    const total = this.totalLength;
+    if (total <= 0) return;
+    if (this.state === 'complete') return;
+    if (this.state === 'waiting') {
+      this._checkDeparture(context);
+      return;
+    }
+    if (this.state === 'dwelling') {
+      this.dwellRemaining -= dt;
+      if (this.dwellRemaining > 1e-9) return;
+      this.dwellRemaining = 0;
+      if (this._atRouteEnd()) {
+        this._complete(context, this.stopIndex);
+        return;
+      }
+      this.state = 'moving';
+      this._emit(context, 'agent-departure', this.stopIndex);
+      return;
+    }
+    const next = this._nextTarget();
+    let target = this.speed;
+    if (next && Number.isFinite(this.deceleration)) {
+      target = Math.min(target, Math.sqrt(2 * this.deceleration * next.distance));
+    }
+    this.velocity = Number.isFinite(this.acceleration)
+      ? Math.min(target, this.velocity + this.acceleration * dt)
+      : target;
+    let step = this.velocity * dt;
+    const reached = next !== null && step >= next.distance - 1e-9;
+    if (reached) {
+      step = next.distance;
+    }
+    this.progress += this.direction * step;
+    if (this.travelMode === 'loop' && this.progress >= total) {
+      this.progress = this.progress % total;
+      if (Math.abs(this.progress) < 1e-9) {
+        this.progress = 0;
+      }
+    }
+    if (reached) {
+      this._arrive(next, context);
+    }
+    this._syncPosition();
+  }
+
+  _nextTarget() {
+    const total = this.totalLength;
+    const forward = this.direction > 0;
+    let best = null;
+    const consider = (distance, stopIndex, end) => {
+      if (!best || distance < best.distance - 1e-9) {
+        best = { distance, stopIndex, end };
+      } else if (Math.abs(distance - best.distance) <= 1e-9) {
+        best.end = best.end || end;
+        if (best.stopIndex < 0) best.stopIndex = stopIndex;
+      }
+    };
+    this.stopDistances.forEach((at, index) => {
+      if (at === null) return;
+      const ahead = forward ? at - this.progress : this.progress - at;
+      if (ahead > 1e-9) {
+        consider(ahead, index, false);
+      } else if (this.travelMode === 'loop' && forward) {
+        consider(at + total - this.progress, index, false);
+      }
+    });
+    if (this.travelMode !== 'loop') {
+      consider(Math.max(0, forward ? total - this.progress : this.progress), -1, forward || this.travelMode === 'pingpong');
+    }
+    return best;
+  }
+
+  _arrive(target, context) {
+    this.velocity = 0;
+    if (target.stopIndex >= 0) {
+      this.stopIndex = target.stopIndex;
+      this._emit(context, 'agent-arrival', target.stopIndex);
+      const dwell = this.stops[target.stopIndex].dwell;
+      if (dwell > 0) {
+        this.state = 'dwelling';
+        this.dwellRemaining = dwell;
+      }
+    }
+    if (!target.end) {
+      return;
+    }
+    if (this.travelMode === 'pingpong') {
+      this.direction = -this.direction;
+      return;
+    }
+    if (this.state === 'dwelling') {
+      return;
+    }
+    this._complete(context, target.stopIndex);
+  }
+
+  _atRouteEnd() {
+    return (this.travelMode === 'once' || this.travelMode === 'scheduled') &&
+      this.direction > 0 && this.progress >= this.totalLength - 1e-9;
+  }
+
+  _complete(context, stopIndex) {
+    this._emit(context, 'agent-complete', stopIndex);
+    this.dwellRemaining = 0;
+    this.state = this.travelMode === 'scheduled' ? 'waiting' : 'complete';
+  }
+
+  _departureAt(time) {
+    const schedule = this.schedule;
+    if (!schedule || !Number.isFinite(time)) {
+      return null;
+    }
+    const last = this.lastDeparture;
+    let departure = null;
+    if (Number.isFinite(schedule.interval) && schedule.interval > 0) {
+      if (time + 1e-9 >= schedule.start) {
+        const k = Math.floor((time - schedule.start) / schedule.interval + 1e-9);
+        departure = schedule.start + k * schedule.interval;
+      }
+    }
+    for (const at of schedule.times) {
+      if (at <= time + 1e-9 && (departure === null || at > departure)) {
+        departure = at;
+      }
+    }
+    if (departure === null || (last !== null && departure <= last + 1e-9)) {
+      return null;
+    }
+    return departure;
+  }
+
+  _checkDeparture(context) {
+    const departure = this._departureAt(context?.time);
+    if (departure === null) return;
+    this.lastDeparture = departure;
+    this.restart();
+    this.state = 'moving';
+    const startStop = this.stopDistances.findIndex(at => at !== null && at <= 1e-9);
+    this._emit(context, 'agent-departure', startStop);
+  }
+
+  _emit(context, type, stopIndex) {
+    if (typeof context?.emit !== 'function') return;
+    const stop = stopIndex >= 0 ? this.stops[stopIndex] : null;
+    context.emit(type, {
+      agent: this,
+      agentId: this.id,
+      agentType: this.type,
+      stop: stop ? stop.name : null,
+      position: clonePoint(this.position),
+      tick: context.tick,
+      time: context.time
+    });
+  }
+
+  _syncPosition() {
+    if (this.path.length < 2 || !this.segments || this.totalLength <= 0) return;
+    const index = this.segmentIndexAt(this.progress);
+    const seg = this.segments[index];
+    if (!seg) return;
+    const t = seg.length > 0 ? Math.min(1, Math.max(0, (this.progress - this.cumulative[index]) / seg.length)) : 0;
+    this.position.x = seg.start.x + (seg.end.x - seg.start.x) * t;
+    this.position.y = seg.start.y + (seg.end.y - seg.start.y) * t;
+    if (seg.length > 0) {
+      const heading = Math.atan2(seg.end.y - seg.start.y, seg.end.x - seg.start.x);
+      this.heading = this.direction < 0 ? heading + Math.PI : heading;
+    }
+  }
+
+  getFrameKey() {
+    const frames = this.spriteFrames;
+    if (!frames || frames.length === 0) {
+      return this.spriteKey;
+    }
+    const index = Math.floor(Math.max(0, this.progress) / this.frameDistance) % frames.length;
+    return frames[index];
+  }
+
+  getSprites() {
+    let rotation = this.spriteRotation;
+    let flipX = false;
+    if (this.headingMode !== 'none') {
+      flipX = Math.cos(this.heading) < 0;
+      if (this.headingMode === 'rotate') {
+        rotation += flipX ? this.heading - Math.PI : this.heading;
+      }
+    }
+    return [{ x: this.position.x, y: this.position.y, glyph: this.getFrameKey(), rotation, flipX }];
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      path: this.path.map(clonePoint),
+      speed: this.speed,
+      progress: this.progress,
+      loop: this.loop,
+      travelMode: this.travelMode,
+      direction: this.direction,
+      velocity: this.velocity,
+      acceleration: Number.isFinite(this.acceleration) ? this.acceleration : null,
+      deceleration: Number.isFinite(this.deceleration) ? this.deceleration : null,
+      stops: this.stops.map(cloneStop),
+      schedule: cloneSchedule(this.schedule),
+      state: this.state,
+      stopIndex: this.stopIndex,
+      dwellRemaining: this.dwellRemaining,
+      lastDeparture: this.lastDeparture,
+      pathZoomMin: Number.isFinite(this.pathZoomMin) ? this.pathZoomMin : null,
+      pathZoomMax: Number.isFinite(this.pathZoomMax) ? this.pathZoomMax : null,
+      pathColor: this.pathColor,
+      pathWidth: this.pathWidth,
+      effect: this.effect,
+      origin: this.origin ? clonePoint(this.origin) : null,
+      destination: this.destination ? clonePoint(this.destination) : null,
+      routeOptions: encodeRouteOptions(this.routeOptions),
+      headingMode: this.headingMode,
+      spriteFrames: this.spriteFrames ? [...this.spriteFrames] : null,
+      frameDistance: this.frameDistance
+    };
+  }
+}
+
+export class Cart extends PathAgent {
+  constructor(id) {
+    super(id, 'cart');
+    this.spriteKey = 'cart';
+    this.spriteFrames = ['cart', 'cart_1'];
+  }
+}
+
+export class Boat extends PathAgent {
+  constructor(id) {
+    super(id, 'boat');
+    this.spriteKey = 'boat';
+    this.effect = 'bob';
+    this.speed = 0.06;
+    this.routeOptions = {
+      kindCosts: { river: 1, highway: Infinity, road: Infinity, street: Infinity, track: Infinity, path: Infinity }
+    };
+  }
+}
+
+export class Walker extends PathAgent {
+  constructor(id) {
+    super(id, 'walker');
+    this.spriteKey = 'walker';
+    this.speed = 0.03;
+    this.headingMode = 'flip';
+    this.zoomMin = 1;
+    this.routeOptions = { kindCosts: { path: 0.8, track: 0.9, highway: 1.5 } };
+  }
+}
+
+export class Herd extends Agent {
+  constructor(id) {
+    super(id, 'herd');
+    this.spriteKey = 'sheep';
+    this.zoomMin = 1;
+    this.home = null;
+    this.radius = 12;
+    this.size = 5;
+    this.speed = 0.5;
+    this.target = null;
+    this.rngState = hashSeed(`herd:${id}`);
+  }
+
+  assign(options = {}) {
+    super.assign(options);
+    if (!options || typeof options !== 'object') {
+      return this;
+    }
+    if (options.home !== undefined) {
+      this.home = isPoint(options.home) ? clonePoint(options.home) : null;
+    }
+    this.radius = Math.max(0, finiteOr(options.radius, this.radius));
+    this.size = Math.max(1, Math.floor(finiteOr(options.size, this.size)));
+    this.speed = Math.max(0, finiteOr(options.speed, this.speed));
+    if (options.target !== undefined) {
+      this.target = isPoint(options.target) ? clonePoint(options.target) : null;
+    }
+    if (Number.isFinite(options.rngState)) {
+      this.rngState = options.rngState >>> 0;
+    } else if (options.seed != null) {
+      this.rngState = hashSeed(options.seed);
+    }
+    return this;
+  }
+
+  describeFields() {
+    return {
+      ...super.describeFields(),
+      home: 'point?',
+      radius: 'number',
+      size: 'integer',
+      speed: 'number',
+      target: 'point?',
+      rngState: 'integer'
+    };
+  }
+
+  runtimeFields() {
+    return [...super.runtimeFields(), 'target', 'rngState'];
+  }
+
+  _random() {
+    const next = nextRandom(this.rngState);
+    this.rngState = next.state;
+    return next.value;
+  }
+
+  update(dt) {
+    const home = this.home || (this.home = clonePoint(this.position));
+    if (!this.target) {
+      const angle = this._random() * Math.PI * 2;
+      const distance = Math.sqrt(this._random()) * this.radius;
+      this.target = { x: home.x + Math.cos(angle) * distance, y: home.y + Math.sin(angle) * distance };
+    }
+    const dx = this.target.x - this.position.x;
+    const dy = this.target.y - this.position.y;
+    const distance = Math.hypot(dx, dy);
+    const step = this.speed * dt;
+    if (distance <= step) {
+      this.position = clonePoint(this.target);
+      this.target = null;
+      return;
+    }
+    this.position.x += (dx / distance) * step;
+    this.position.y += (dy / distance) * step;
+  }
+
+  getSprites() {
+    const sprites = [];
+    const spacing = 1.5;
+    for (let i = 0; i < this.size; i++) {
+      const angle = i * 2.399963 + this.phase;
+      const distance = spacing * Math.sqrt(i);
+      sprites.push({
+        x: this.position.x + Math.cos(angle) * distance,
+        y: this.position.y + Math.sin(angle) * distance,
+        glyph: this.spriteKey,
+        rotation: this.spriteRotation
+      });
+    }
+    return sprites;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      home: this.home ? clonePoint(this.home) : null,
+      radius: this.radius,
+      size: this.size,
+      speed: this.speed,
+      target: this.target ? clonePoint(this.target) : null,
+      rngState: this.rngState
+    };
+  }
+}
+
+export class Cloud extends Agent {
+  constructor(id) {
+    super(id, 'cloud');
+    this.spriteKey = 'cloud';
+    this.spriteScale = 4;
+    this.zoomMax = 3;
+    this.velocity = { x: 0.8, y: 0.1 };
+  }
+
+  assign(options = {}) {
+    super.assign(options);
+    if (isPoint(options?.velocity)) {
+      this.velocity = clonePoint(options.velocity);
+    }
+    return this;
+  }
+
+  describeFields() {
+    return { ...super.describeFields(), velocity: 'point' };
+  }
+
+  update(dt, context) {
+    this.position.x += this.velocity.x * dt;
+    this.position.y += this.velocity.y * dt;
+    const bounds = context?.world?.bounds;
+    if (!bounds) {
+      return;
+    }
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    if (width > 0) {
+      this.position.x = bounds.minX + ((((this.position.x - bounds.minX) % width) + width) % width);
+    }
+    if (height > 0) {
+      this.position.y = bounds.minY + ((((this.position.y - bounds.minY) % height) + height) % height);
+    }
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), velocity: clonePoint(this.velocity) };
+  }
+}
+
+export class AgentRegistry {
+  constructor(types = {}) {
+    this.types = new Map();
+    for (const [type, AgentType] of Object.entries(types)) {
+      this.register(type, AgentType);
+    }
+  }
+
+  register(type, AgentType) {
+    if (typeof type !== 'string' || !type) {
+      throw new Error('Agent type name is required.');
+    }
+    if (typeof AgentType !== 'function') {
+      throw new Error(`Agent type ${type} must be a constructor.`);
+    }
+    this.types.set(type, AgentType);
+    return this;
+  }
+
+  has(type) {
+    return this.types.has(type);
+  }
+
+  list() {
+    return Array.from(this.types.keys());
+  }
+
+  create(type, id, options = {}) {
+    const AgentType = this.types.get(type);
+    if (!AgentType) {
+      throw new Error(`Unknown agent type: ${type}`);
+    }
+    const agent = new AgentType(id, type);
+    agent.type = type;
+    return agent.assign(options);
+  }
+
+  validate(record) {
+    const AgentType = this.types.get(record?.type);
+    if (!AgentType) {
+      return [`unknown agent type ${record?.type}`];
+    }
+    const version = record.version ?? 0;
+    if (!Number.isInteger(version) || version < 0 || version > AGENT_RECORD_VERSION) {
+      return [`unsupported record version ${record.version}`];
+    }
+    return validateAgentRecord(record, new AgentType(record.id, record.type).describeFields());
+  }
+
+  fromJSON(record) {
+    if (!record || typeof record !== 'object' || !this.types.has(record.type)) {
+      return null;
+    }
+    const errors = this.validate(record);
+    if (errors.length) {
+      throw new Error(`Invalid ${record.type} agent record ${record.id}: ${errors.join('; ')}`);
+    }
+    return this.create(record.type, record.id, record);
+  }
+}
+
+export function createDefaultAgentRegistry() {
+  return new AgentRegistry({
+    cart: Cart,
+    boat: Boat,
+    walker: Walker,
+    herd: Herd,
+    cloud: Cloud
+  });
+}
+
+export class AgentScheduler {
+  constructor({ step = AGENT_STEP, maxSteps = DEFAULT_MAX_STEPS } = {}) {
+    this.step = step > 0 ? step : AGENT_STEP;
+    this.maxSteps = Math.max(1, Math.floor(maxSteps) || DEFAULT_MAX_STEPS);
+    this.tick = 0;
+    this.accumulator = 0;
+  }
+
+  get time() {
+    return this.tick * this.step;
+  }
+
+  reset(tick = 0, accumulator = 0) {
+    this.tick = Math.max(0, Math.floor(tick) || 0);
+    this.accumulator = Number.isFinite(accumulator) ? Math.max(0, Math.min(this.step, accumulator)) : 0;
+  }
+
+  advance(dt, run) {
+    if (!Number.isFinite(dt) || dt <= 0) {
+      return 0;
+    }
+    this.accumulator += dt;
+    let steps = 0;
+    while (this.accumulator >= this.step - 1e-9 && steps < this.maxSteps) {
+      run(this.step, this.tick);
+      this.tick++;
+      this.accumulator = this.accumulator - this.step > 1e-9 ? this.accumulator - this.step : 0;
+      steps++;
+    }
+    if (steps === this.maxSteps) {
+      this.accumulator = 0;
+    }
+    return steps;
+  }
+}
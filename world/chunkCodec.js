@@ -0,0 +1,100 @@
+const AIR = 0;
+
+export const CHUNK_ENCODING_VERSION = 2;
+
+function columnVoxelIndex(columnIndex, z, columnArea) {
+  return z * columnArea + columnIndex;
+}
+
+export function encodeColumnRuns(storage, columnIndices, { columnArea, height }) {
+  const palette = [AIR];
+  const lookup = new Map([[AIR, 0]]);
+  const runs = [];
+  for (const columnIndex of columnIndices) {
+    let topZ = -1;
+    for (let z = height - 1; z >= 0; z--) {
+      if (storage.get(columnVoxelIndex(columnIndex, z, columnArea)) !== AIR) {
+        topZ = z;
+        break;
+      }
+    }
+    if (topZ < 0) {
+      const last = runs.length - 1;
+      if (last >= 0 && runs[last] < 0) {
+        runs[last]--;
+      } else {
+        runs.push(-1);
+      }
+      continue;
+    }
+    const countSlot = runs.length;
+    runs.push(0);
+    let runValue = null;
+    let runLength = 0;
+    for (let z = 0; z <= topZ; z++) {
+      const value = storage.get(columnVoxelIndex(columnIndex, z, columnArea));
+      if (value === runValue) {
+        runLength++;
+        continue;
+      }
+      if (runLength > 0) {
+        runs.push(lookup.get(runValue), runLength);
+        runs[countSlot]++;
+      }
+      if (!lookup.has(value)) {
+        lookup.set(value, palette.length);
+        palette.push(value);
+      }
+      runValue = value;
+      runLength = 1;
+    }
+    if (runLength > 0) {
+      runs.push(lookup.get(runValue), runLength);
+      runs[countSlot]++;
+    }
+  }
+  return { palette, runs };
+}
+
+export function decodeColumnRuns(record, storage, columnIndices, { columnArea, height }) {
+  const palette = Array.isArray(record?.palette) ? record.palette.map((value) => value >>> 0) : [AIR];
+  const runs = Array.isArray(record?.runs) ? record.runs : [];
+  let cursor = 0;
+  let emptyColumns = 0;
+  for (const columnIndex of columnIndices) {
+    for (let z = 0; z < height; z++) {
+      storage.set(columnVoxelIndex(columnIndex, z, columnArea), AIR);
+    }
+    if (emptyColumns > 0) {
+      emptyColumns--;
+      continue;
+    }
+    const runCount = runs[cursor++] | 0;
+    if (runCount < 0) {
+      emptyColumns = -runCount - 1;
+      continue;
+    }
+    let z = 0;
+    for (let i = 0; i < runCount; i++) {
+      const value = palette[runs[cursor++] | 0] ?? AIR;
+      const length = runs[cursor++] | 0;
+      const end = Math.min(height, z + length);
+      if (value !== AIR) {
+        for (let layer = z; layer < end; layer++) {
+          storage.set(columnVoxelIndex(columnIndex, layer, columnArea), value);
+        }
+      }
+      z = end;
+    }
+  }
+}
+
+export function columnVoxelsEqual(a, b, columnIndex, { columnArea, height }) {
+  for (let z = 0; z < height; z++) {
+    const index = columnVoxelIndex(columnIndex, z, columnArea);
+    if (a.get(index) !== b.get(index)) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,304 @@
+const AIR = 0;
+const MAX_PALETTE_BITS = 8;
+
+export const STORAGE_AIR = 'air';
+export const STORAGE_PALETTE = 'palette';
+export const STORAGE_DIRECT = 'direct';
+
+function bitsForPaletteSize(size) {
+  let bits = 1;
+  while ((1 << bits) < size) {
+    bits++;
+  }
+  return bits;
+}
+
+function wordCount(length, bits) {
+  const perWord = Math.floor(32 / bits);
+  return Math.ceil(length / perWord);
+}
+
+export function encodeWords(typedArray) {
+  if (!(typedArray instanceof Uint32Array) || typedArray.length === 0) {
+    return '';
+  }
+  const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+  if (typeof Buffer === 'function') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    const slice = bytes.subarray(offset, offset + chunkSize);
+    binary += String.fromCharCode.apply(null, slice);
+  }
+  if (typeof btoa === 'function') {
+    return btoa(binary);
+  }
+  return binary;
+}
+
+export function decodeWords(base64, length) {
+  const array = new Uint32Array(length);
+  if (typeof base64 !== 'string' || base64.length === 0) {
+    return array;
+  }
+  let bytes = null;
+  if (typeof Buffer === 'function') {
+    const buffer = Buffer.from(base64, 'base64');
+    bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  } else if (typeof atob === 'function') {
+    const binary = atob(base64);
+    bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+  }
+  if (!bytes) {
+    return array;
+  }
+  const usable = Math.min(bytes.byteLength, length * 4) - (Math.min(bytes.byteLength, length * 4) % 4);
+  const aligned = new Uint8Array(usable);
+  aligned.set(bytes.subarray(0, usable));
+  array.set(new Uint32Array(aligned.buffer));
+  return array;
+}
+
+export class ChunkVoxelStorage {
+  constructor(length) {
+    this.length = Math.max(0, Math.floor(length));
+    this._reset();
+  }
+
+  static fromArray(array) {
+    const storage = new ChunkVoxelStorage(array.length);
+    for (let i = 0; i < array.length; i++) {
+      if (array[i] !== AIR) {
+        storage.set(i, array[i]);
+      }
+    }
+    storage.compact();
+    return storage;
+  }
+
+  static decode(record, length) {
+    if (!record || typeof record !== 'object') {
+      return new ChunkVoxelStorage(length);
+    }
+    if (Array.isArray(record.voxelPalette) && Number.isInteger(record.voxelBits)) {
+      const storage = new ChunkVoxelStorage(length);
+      const palette = record.voxelPalette.map((value) => value >>> 0);
+      if (palette.length === 0 || record.voxelBits < 1 || record.voxelBits > MAX_PALETTE_BITS) {
+        return storage;
+      }
+      storage.mode = STORAGE_PALETTE;
+      storage.palette = palette;
+      storage._paletteLookup = new Map(palette.map((value, index) => [value, index]));
+      storage.bits = record.voxelBits;
+      storage.words = decodeWords(record.voxels, wordCount(length, record.voxelBits));
+      storage.nonAirCount = storage._countNonAir();
+      if (storage.nonAirCount === 0) {
+        storage._reset();
+      }
+      return storage;
+    }
+    return ChunkVoxelStorage.fromArray(decodeWords(record.voxels, length));
+  }
+
+  isEmpty() {
+    return this.nonAirCount === 0;
+  }
+
+  get(index) {
+    if (index < 0 || index >= this.length) {
+      return AIR;
+    }
+    if (this.mode === STORAGE_AIR) {
+      return AIR;
+    }
+    if (this.mode === STORAGE_DIRECT) {
+      return this.direct[index];
+    }
+    return this.palette[this._readIndex(index)];
+  }
+
+  set(index, value) {
+    if (index < 0 || index >= this.length) {
+      return false;
+    }
+    const next = value >>> 0;
+    const previous = this.get(index);
+    if (previous === next) {
+      return false;
+    }
+    if (previous === AIR) {
+      this.nonAirCount++;
+    } else if (next === AIR) {
+      this.nonAirCount--;
+      if (this.nonAirCount === 0) {
+        this._reset();
+        return true;
+      }
+    }
+    if (this.mode === STORAGE_AIR) {
+      this._promoteToPalette();
+    }
+    this._stale = true;
+    if (this.mode === STORAGE_DIRECT) {
+      this.direct[index] = next;
+      return true;
+    }
+    let paletteIndex = this._paletteLookup.get(next);
+    if (paletteIndex === undefined) {
+      paletteIndex = this._addPaletteEntry(next);
+      if (this.mode === STORAGE_DIRECT) {
+        this.direct[index] = next;
+        return true;
+      }
+    }
+    this._writeIndex(index, paletteIndex);
+    return true;
+  }
+
+  toArray() {
+    const array = new Uint32Array(this.length);
+    if (this.mode === STORAGE_DIRECT) {
+      array.set(this.direct);
+    } else if (this.mode === STORAGE_PALETTE) {
+      for (let i = 0; i < this.length; i++) {
+        array[i] = this.palette[this._readIndex(i)];
+      }
+    }
+    return array;
+  }
+
+  compact() {
+    if (this.mode === STORAGE_AIR || !this._stale) {
+      return;
+    }
+    this._stale = false;
+    const values = this.toArray();
+    const used = new Set(values);
+    used.add(AIR);
+    if (used.size > (1 << MAX_PALETTE_BITS)) {
+      if (this.mode !== STORAGE_DIRECT) {
+        this._setDirect(values);
+      }
+      return;
+    }
+    const palette = [AIR, ...Array.from(used).filter((value) => value !== AIR).sort((a, b) => a - b)];
+    this._setPalette(palette, values);
+  }
+
+  byteSize() {
+    if (this.mode === STORAGE_DIRECT) {
+      return this.direct.byteLength;
+    }
+    if (this.mode === STORAGE_PALETTE) {
+      return this.words.byteLength + this.palette.length * 4;
+    }
+    return 0;
+  }
+
+  encode() {
+    this.compact();
+    if (this.mode === STORAGE_AIR) {
+      return { voxels: '' };
+    }
+    if (this.mode === STORAGE_DIRECT) {
+      return { voxels: encodeWords(this.direct) };
+    }
+    return {
+      voxels: encodeWords(this.words),
+      voxelPalette: [...this.palette],
+      voxelBits: this.bits
+    };
+  }
+
+  _reset() {
+    this.mode = STORAGE_AIR;
+    this.palette = null;
+    this._paletteLookup = null;
+    this.bits = 0;
+    this.words = null;
+    this.direct = null;
+    this.nonAirCount = 0;
+    this._stale = false;
+  }
+
+  _promoteToPalette() {
+    this.mode = STORAGE_PALETTE;
+    this.palette = [AIR];
+    this._paletteLookup = new Map([[AIR, 0]]);
+    this.bits = 1;
+    this.words = new Uint32Array(wordCount(this.length, 1));
+  }
+
+  _addPaletteEntry(value) {
+    if (this.palette.length >= (1 << this.bits)) {
+      if (this.bits < MAX_PALETTE_BITS) {
+        this._setPalette([...this.palette], this.toArray(), this.bits + 1);
+      } else {
+        this.compact();
+        if (this.mode === STORAGE_PALETTE && this.palette.length >= (1 << this.bits)) {
+          this._setDirect(this.toArray());
+        }
+        if (this.mode === STORAGE_DIRECT) {
+          return -1;
+        }
+      }
+    }
+    const index = this.palette.length;
+    this.palette.push(value);
+    this._paletteLookup.set(value, index);
+    return index;
+  }
+
+  _setPalette(palette, values, minBits = 1) {
+    this.mode = STORAGE_PALETTE;
+    this.palette = palette;
+    this._paletteLookup = new Map(palette.map((value, index) => [value, index]));
+    this.bits = Math.max(minBits, bitsForPaletteSize(palette.length));
+    this.words = new Uint32Array(wordCount(this.length, this.bits));
+    this.direct = null;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] !== AIR) {
+        this._writeIndex(i, this._paletteLookup.get(values[i]));
+      }
+    }
+  }
+
+  _setDirect(values) {
+    this.mode = STORAGE_DIRECT;
+    this.direct = values;
+    this.palette = null;
+    this._paletteLookup = null;
+    this.words = null;
+    this.bits = 32;
+  }
+
+  _readIndex(index) {
+    const perWord = Math.floor(32 / this.bits);
+    const word = this.words[Math.floor(index / perWord)];
+    const shift = (index % perWord) * this.bits;
+    return (word >>> shift) & ((1 << this.bits) - 1);
+  }
+
+  _writeIndex(index, paletteIndex) {
+    const perWord = Math.floor(32 / this.bits);
+    const wordIndex = Math.floor(index / perWord);
+    const shift = (index % perWord) * this.bits;
+    const mask = ((1 << this.bits) - 1) << shift;
+    this.words[wordIndex] = ((this.words[wordIndex] & ~mask) | (paletteIndex << shift)) >>> 0;
+  }
+
+  _countNonAir() {
+    let count = 0;
+    for (let i = 0; i < this.length; i++) {
+      if (this.palette[this._readIndex(i)] !== AIR) {
+        count++;
+      }
+    }
+    return count;
+  }
+}
@@ -0,0 +1,60 @@
+import { AGENT_STEP } from './agents.js';
+
+function advance(world, ticks, step) {
+  for (let i = 0; i < ticks; i++) {
+    world.update(step);
+  }
+}
+
+function diffValues(expected, actual, path, out, { tolerance, limit }) {
+  if (out.length >= limit) return;
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    if (expected === actual || Math.abs(expected - actual) <= tolerance) return;
+    out.push({ path, expected, actual });
+    return;
+  }
+  if (expected === null || actual === null || typeof expected !== 'object' || typeof actual !== 'object') {
+    if (expected !== actual) {
+      out.push({ path, expected, actual });
+    }
+    return;
+  }
+  if (Array.isArray(expected) !== Array.isArray(actual)) {
+    out.push({ path, expected, actual });
+    return;
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const key of keys) {
+    const childPath = Array.isArray(expected) ? `${path}[${key}]` : `${path}.${key}`;
+    diffValues(expected[key], actual[key], childPath, out, { tolerance, limit });
+  }
+}
+
+export function compareWorldState(expected, actual, { tolerance = 0, limit = 20 } = {}) {
+  const mismatches = [];
+  diffValues(expected.serializeHeader(), actual.serializeHeader(), 'world', mismatches, { tolerance, limit });
+  return mismatches;
+}
+
+export function checkDeterminism(createWorld, { ticks = 600, resumeTicks = 600, step = AGENT_STEP, tolerance = 0, limit = 20 } = {}) {
+  if (typeof createWorld !== 'function') {
+    throw new Error('checkDeterminism requires a world factory.');
+  }
+  const continuous = createWorld();
+  advance(continuous, ticks, step);
+  const savedTick = continuous.scheduler.tick;
+  const snapshot = continuous.serialize();
+  const restored = createWorld();
+  restored.deserialize(snapshot);
+  const reloadMismatches = compareWorldState(continuous, restored, { tolerance, limit });
+  advance(continuous, resumeTicks, step);
+  advance(restored, resumeTicks, step);
+  const mismatches = compareWorldState(continuous, restored, { tolerance, limit });
+  return {
+    ok: reloadMismatches.length === 0 && mismatches.length === 0,
+    savedTick,
+    tick: continuous.scheduler.tick,
+    reloadMismatches,
+    mismatches
+  };
+}
@@ -66,6 +66,9 @@ function cloneFeature(feature) {
   if (Array.isArray(feature.line)) {
     cloned.line = clonePointArray(feature.line);
   }
+  if (Array.isArray(feature.lines)) {
+    cloned.lines = cloneNestedPointArray(feature.lines);
+  }
   if (Array.isArray(feature.poly)) {
     cloned.poly = clonePointArray(feature.poly);
   }
@@ -0,0 +1,25 @@
+export function hashLattice(seed, x, y) {
+  let h = (seed ^ Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(y | 0, 0x165667b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+export function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+export function valueNoise(seed, x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const tx = smoothstep(x - x0);
+  const ty = smoothstep(y - y0);
+  const a = hashLattice(seed, x0, y0);
+  const b = hashLattice(seed, x0 + 1, y0);
+  const c = hashLattice(seed, x0, y0 + 1);
+  const d = hashLattice(seed, x0 + 1, y0 + 1);
+  const top = a + (b - a) * tx;
+  const bottom = c + (d - c) * tx;
+  return top + (bottom - top) * ty;
+}
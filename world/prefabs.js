@@ -0,0 +1,156 @@
+import { ChunkVoxelStorage } from './chunkStorage.js';
+import { decodeColumnRuns } from './chunkCodec.js';
+
+export const PREFAB_VERSION = 1;
+
+function normaliseRotation(rotation) {
+  const steps = Math.round(Number(rotation) || 0);
+  return ((steps % 4) + 4) % 4;
+}
+
+function positiveInteger(value, label) {
+  const number = Math.floor(Number(value));
+  if (!Number.isFinite(number) || number < 1) {
+    throw new Error(`Prefab ${label} must be a positive integer.`);
+  }
+  return number;
+}
+
+export function normalisePrefab(record) {
+  if (!record || typeof record !== 'object') {
+    throw new Error('Prefab definition must be an object.');
+  }
+  if (typeof record.name !== 'string' || record.name.trim().length === 0) {
+    throw new Error('Prefab definition missing name.');
+  }
+  const width = positiveInteger(record.width, 'width');
+  const depth = positiveInteger(record.depth, 'depth');
+  const height = positiveInteger(record.height, 'height');
+  const materials = Array.isArray(record.materials) && record.materials.length > 0
+    ? record.materials.map((material, index) => (index === 0 ? null : material ?? null))
+    : [null];
+  return {
+    version: PREFAB_VERSION,
+    name: record.name.trim(),
+    width,
+    depth,
+    height,
+    materials,
+    runs: Array.isArray(record.runs) ? record.runs.map((value) => Math.trunc(Number(value) || 0)) : [],
+    columns: Array.isArray(record.columns)
+      ? record.columns
+        .filter((entry) => Array.isArray(entry) && entry[1] && typeof entry[1] === 'object')
+        .map(([position, extras]) => [position | 0, { ...extras }])
+      : null,
+    mask: Array.isArray(record.mask) ? record.mask.map((position) => position | 0) : null
+  };
+}
+
+export function clonePrefab(prefab) {
+  return normalisePrefab(prefab);
+}
+
+export function getPrefabSize(prefab, { rotation = 0 } = {}) {
+  const turns = normaliseRotation(rotation);
+  return turns % 2 === 0
+    ? { width: prefab.width, depth: prefab.depth }
+    : { width: prefab.depth, depth: prefab.width };
+}
+
+export function transformPrefabCell(localX, localY, width, depth, { rotation = 0, mirror = false } = {}) {
+  let x = mirror ? width - 1 - localX : localX;
+  let y = localY;
+  let w = width;
+  let d = depth;
+  const turns = normaliseRotation(rotation);
+  for (let i = 0; i < turns; i++) {
+    [x, y] = [d - 1 - y, x];
+    [w, d] = [d, w];
+  }
+  return { x, y };
+}
+
+export function getPrefabFootprint(prefab, options = {}) {
+  if (!prefab) {
+    return [];
+  }
+  const mask = Array.isArray(prefab.mask) ? new Set(prefab.mask) : null;
+  const cells = [];
+  for (let localY = 0; localY < prefab.depth; localY++) {
+    for (let localX = 0; localX < prefab.width; localX++) {
+      if (mask && !mask.has(localY * prefab.width + localX)) continue;
+      cells.push(transformPrefabCell(localX, localY, prefab.width, prefab.depth, options));
+    }
+  }
+  return cells;
+}
+
+export function decodePrefabVoxels(prefab) {
+  const columnArea = prefab.width * prefab.depth;
+  const storage = new ChunkVoxelStorage(columnArea * prefab.height);
+  const positions = Array.from({ length: columnArea }, (_, index) => index);
+  decodeColumnRuns(
+    { palette: prefab.materials.map((_, index) => index), runs: prefab.runs },
+    storage,
+    positions,
+    { columnArea, height: prefab.height }
+  );
+  return storage;
+}
+
+export class PrefabLibrary {
+  constructor(prefabs = []) {
+    this.prefabs = new Map();
+    for (const prefab of prefabs) {
+      this.add(prefab);
+    }
+  }
+
+  static fromJSON(json) {
+    return new PrefabLibrary(Array.isArray(json?.prefabs) ? json.prefabs : []);
+  }
+
+  add(prefab, name = prefab?.name) {
+    const stored = normalisePrefab({ ...prefab, name });
+    this.prefabs.set(stored.name, stored);
+    return stored;
+  }
+
+  get(name) {
+    return this.prefabs.get(name) || null;
+  }
+
+  has(name) {
+    return this.prefabs.has(name);
+  }
+
+  remove(name) {
+    return this.prefabs.delete(name);
+  }
+
+  names() {
+    return Array.from(this.prefabs.keys());
+  }
+
+  list() {
+    return Array.from(this.prefabs.values());
+  }
+
+  uniqueName(base = 'prefab') {
+    if (!this.prefabs.has(base)) {
+      return base;
+    }
+    let suffix = 2;
+    while (this.prefabs.has(`${base}-${suffix}`)) {
+      suffix++;
+    }
+    return `${base}-${suffix}`;
+  }
+
+  toJSON() {
+    return {
+      version: PREFAB_VERSION,
+      prefabs: this.list().map(clonePrefab)
+    };
+  }
+}
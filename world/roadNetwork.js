@@ -0,0 +1,464 @@
+const DEFAULT_SNAP_TOLERANCE = 1;
+const DEFAULT_GRID_SIZE = 32;
+const EPSILON = 1e-9;
+
+const DEFAULT_KIND_COSTS = {
+  highway: 0.7,
+  road: 1,
+  street: 1,
+  track: 1.5,
+  path: 2,
+  river: Infinity
+};
+
+function featurePoints(feature) {
+  const points = feature?.line || feature?.path || feature?.points;
+  if (!Array.isArray(points)) {
+    return null;
+  }
+  const cleaned = [];
+  for (const point of points) {
+    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) continue;
+    const last = cleaned[cleaned.length - 1];
+    if (last && last.x === point.x && last.y === point.y) continue;
+    cleaned.push({ x: point.x, y: point.y });
+  }
+  return cleaned.length >= 2 ? cleaned : null;
+}
+
+function featureKind(feature) {
+  const properties = feature.properties || {};
+  return String(properties.kind ?? feature.kind ?? properties.class ?? feature.class ?? 'road').toLowerCase();
+}
+
+function featureCost(feature) {
+  const properties = feature.properties || {};
+  const cost = properties.cost ?? feature.cost;
+  if (Number.isFinite(cost) && cost > 0) {
+    return cost;
+  }
+  const speed = properties.speed ?? feature.speed;
+  if (Number.isFinite(speed) && speed > 0) {
+    return 1 / speed;
+  }
+  return null;
+}
+
+function isRoutable(feature) {
+  const type = feature?.type;
+  if (type && type !== 'line' && type !== 'polyline') {
+    return false;
+  }
+  return (feature.properties?.routable ?? feature.routable) !== false;
+}
+
+function segmentIntersection(a, b, c, d) {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = d.x - c.x;
+  const sy = d.y - c.y;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < EPSILON) {
+    return null;
+  }
+  const qx = c.x - a.x;
+  const qy = c.y - a.y;
+  const t = (qx * sy - qy * sx) / denom;
+  const u = (qx * ry - qy * rx) / denom;
+  if (t < -EPSILON || t > 1 + EPSILON || u < -EPSILON || u > 1 + EPSILON) {
+    return null;
+  }
+  return { t, u };
+}
+
+function projectOntoSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq)) : 0;
+  const x = a.x + dx * t;
+  const y = a.y + dy * t;
+  return { t, x, y, distance: Math.hypot(point.x - x, point.y - y) };
+}
+
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(key, priority) {
+    const items = this.items;
+    items.push({ key, priority });
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= items[index].priority) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+export class RoadNetwork {
+  constructor({ snapTolerance = DEFAULT_SNAP_TOLERANCE, gridSize = DEFAULT_GRID_SIZE, kindCosts = null } = {}) {
+    this.snapTolerance = Math.max(EPSILON, Number.isFinite(snapTolerance) ? snapTolerance : DEFAULT_SNAP_TOLERANCE);
+    this.gridSize = Math.max(1, Number.isFinite(gridSize) ? gridSize : DEFAULT_GRID_SIZE);
+    this.kindCosts = { ...DEFAULT_KIND_COSTS, ...(kindCosts || {}) };
+    this.clear();
+  }
+
+  static fromFeatures(features, options) {
+    const network = new RoadNetwork(options);
+    network.build(features);
+    return network;
+  }
+
+  clear() {
+    this.vertices = [];
+    this.edges = [];
+    this.adjacency = [];
+    this._vertexGrid = new Map();
+    this._edgeGrid = new Map();
+  }
+
+  get vertexCount() {
+    return this.vertices.length;
+  }
+
+  get edgeCount() {
+    return this.edges.length;
+  }
+
+  build(features) {
+    this.clear();
+    const lines = [];
+    for (const entry of features || []) {
+      const feature = entry?.feature ?? entry;
+      if (!isRoutable(feature)) continue;
+      const points = featurePoints(feature);
+      if (!points) continue;
+      const properties = feature.properties || {};
+      lines.push({
+        featureId: feature.id ?? null,
+        source: entry?.source ?? null,
+        kind: featureKind(feature),
+        cost: featureCost(feature),
+        oneway: Boolean(properties.oneway ?? feature.oneway),
+        points
+      });
+    }
+    const segments = [];
+    lines.forEach((line, lineIndex) => {
+      for (let i = 0; i < line.points.length - 1; i++) {
+        segments.push({ lineIndex, index: i, a: line.points[i], b: line.points[i + 1], splits: [0, 1] });
+      }
+    });
+    this._splitSegments(segments);
+    for (const segment of segments) {
+      const line = lines[segment.lineIndex];
+      const splits = Array.from(new Set(segment.splits)).sort((x, y) => x - y);
+      let previous = this._vertexAt(this._lerp(segment, splits[0]));
+      for (let i = 1; i < splits.length; i++) {
+        const next = this._vertexAt(this._lerp(segment, splits[i]));
+        if (next !== previous) {
+          this._addEdge(previous, next, line);
+        }
+        previous = next;
+      }
+    }
+    return this;
+  }
+
+  nearest(point, { maxDistance = Infinity, filter = null } = {}) {
+    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y) || this.edges.length === 0) {
+      return null;
+    }
+    let best = null;
+    const consider = (edge) => {
+      if (filter && !filter(edge)) return;
+      const projection = projectOntoSegment(point, this.vertices[edge.from], this.vertices[edge.to]);
+      if (projection.distance > maxDistance) return;
+      if (!best || projection.distance < best.distance) {
+        best = { edge, t: projection.t, x: projection.x, y: projection.y, distance: projection.distance };
+      }
+    };
+    const cx = Math.floor(point.x / this.gridSize);
+    const cy = Math.floor(point.y / this.gridSize);
+    const seen = new Set();
+    for (let ring = 0; ring <= 2; ring++) {
+      for (let y = cy - ring; y <= cy + ring; y++) {
+        for (let x = cx - ring; x <= cx + ring; x++) {
+          if (Math.max(Math.abs(x - cx), Math.abs(y - cy)) !== ring) continue;
+          for (const edgeId of this._edgeGrid.get(`${x},${y}`) || []) {
+            if (seen.has(edgeId)) continue;
+            seen.add(edgeId);
+            consider(this.edges[edgeId]);
+          }
+        }
+      }
+      if (best && best.distance <= ring * this.gridSize) {
+        return best;
+      }
+    }
+    for (const edge of this.edges) {
+      if (!seen.has(edge.id)) consider(edge);
+    }
+    return best;
+  }
+
+  edgeCost(edge, { kindCosts = null, costFn = null } = {}) {
+    let multiplier = edge.cost ?? kindCosts?.[edge.kind] ?? this.kindCosts[edge.kind] ?? 1;
+    if (typeof costFn === 'function') {
+      multiplier = costFn(edge, multiplier);
+    }
+    return Number.isFinite(multiplier) && multiplier > 0 ? edge.length * multiplier : Infinity;
+  }
+
+  route(from, to, { maxSnapDistance = Infinity, kindCosts = null, costFn = null } = {}) {
+    const costOptions = { kindCosts, costFn };
+    const traversable = (edge) => Number.isFinite(this.edgeCost(edge, costOptions));
+    const start = this.nearest(from, { maxDistance: maxSnapDistance, filter: traversable });
+    const goal = this.nearest(to, { maxDistance: maxSnapDistance, filter: traversable });
+    if (!start || !goal) {
+      return null;
+    }
+    let minMultiplier = Infinity;
+    for (const edge of this.edges) {
+      const cost = this.edgeCost(edge, costOptions);
+      if (Number.isFinite(cost) && edge.length > 0) {
+        minMultiplier = Math.min(minMultiplier, cost / edge.length);
+      }
+    }
+    const heuristic = (vertexId) => {
+      const vertex = this.vertices[vertexId];
+      return Math.hypot(vertex.x - goal.x, vertex.y - goal.y) * minMultiplier;
+    };
+
+    const startCost = this.edgeCost(start.edge, costOptions);
+    const goalCost = this.edgeCost(goal.edge, costOptions);
+    const best = new Map();
+    const cameFrom = new Map();
+    const open = new MinHeap();
+    const relax = (vertexId, cost, previous) => {
+      if (cost >= (best.get(vertexId) ?? Infinity)) return;
+      best.set(vertexId, cost);
+      cameFrom.set(vertexId, previous);
+      open.push(vertexId, cost + heuristic(vertexId));
+    };
+    relax(start.edge.to, startCost * (1 - start.t), null);
+    if (!start.edge.oneway) {
+      relax(start.edge.from, startCost * start.t, null);
+    }
+
+    let bestGoal = null;
+    if (start.edge === goal.edge && (goal.t >= start.t || !start.edge.oneway)) {
+      bestGoal = { cost: startCost * Math.abs(goal.t - start.t), via: null };
+    }
+    while (open.size > 0) {
+      const { key: vertexId, priority } = open.pop();
+      if (bestGoal && priority >= bestGoal.cost) break;
+      const cost = best.get(vertexId);
+      if (priority > cost + heuristic(vertexId) + EPSILON) continue;
+      if (vertexId === goal.edge.from) {
+        const total = cost + goalCost * goal.t;
+        if (!bestGoal || total < bestGoal.cost) bestGoal = { cost: total, via: vertexId };
+      }
+      if (vertexId === goal.edge.to && !goal.edge.oneway) {
+        const total = cost + goalCost * (1 - goal.t);
+        if (!bestGoal || total < bestGoal.cost) bestGoal = { cost: total, via: vertexId };
+      }
+      for (const { edge, to: next } of this.adjacency[vertexId]) {
+        const step = this.edgeCost(edge, costOptions);
+        if (!Number.isFinite(step)) continue;
+        relax(next, cost + step, { vertexId, edgeId: edge.id });
+      }
+    }
+    if (!bestGoal) {
+      return null;
+    }
+
+    const vertexIds = [];
+    const edgeIds = [];
+    for (let vertexId = bestGoal.via; vertexId != null;) {
+      vertexIds.unshift(vertexId);
+      const step = cameFrom.get(vertexId);
+      if (!step) break;
+      edgeIds.unshift(step.edgeId);
+      vertexId = step.vertexId;
+    }
+    const path = [{ x: start.x, y: start.y }];
+    for (const vertexId of vertexIds) {
+      path.push({ ...this.vertices[vertexId] });
+    }
+    path.push({ x: goal.x, y: goal.y });
+    const deduped = path.filter((point, index) => index === 0 ||
+      Math.hypot(point.x - path[index - 1].x, point.y - path[index - 1].y) > EPSILON);
+    let length = 0;
+    for (let i = 1; i < deduped.length; i++) {
+      length += Math.hypot(deduped[i].x - deduped[i - 1].x, deduped[i].y - deduped[i - 1].y);
+    }
+    return {
+      path: deduped.length >= 2 ? deduped : [deduped[0], { ...deduped[0] }],
+      length,
+      cost: bestGoal.cost,
+      edgeIds: [start.edge.id, ...edgeIds, goal.edge.id].filter((id, index, list) => index === 0 || list[index - 1] !== id),
+      from: { x: start.x, y: start.y, distance: start.distance },
+      to: { x: goal.x, y: goal.y, distance: goal.distance }
+    };
+  }
+
+  toJSON() {
+    return {
+      vertices: this.vertices.map((vertex) => ({ ...vertex })),
+      edges: this.edges.map(({ id, from, to, length, kind, cost, oneway, featureId }) => ({
+        id, from, to, length, kind, cost, oneway, featureId
+      }))
+    };
+  }
+
+  _lerp(segment, t) {
+    return {
+      x: segment.a.x + (segment.b.x - segment.a.x) * t,
+      y: segment.a.y + (segment.b.y - segment.a.y) * t
+    };
+  }
+
+  _cellsForBox(minX, minY, maxX, maxY) {
+    const cells = [];
+    for (let y = Math.floor(minY / this.gridSize); y <= Math.floor(maxY / this.gridSize); y++) {
+      for (let x = Math.floor(minX / this.gridSize); x <= Math.floor(maxX / this.gridSize); x++) {
+        cells.push(`${x},${y}`);
+      }
+    }
+    return cells;
+  }
+
+  _splitSegments(segments) {
+    const tolerance = this.snapTolerance;
+    const grid = new Map();
+    segments.forEach((segment, index) => {
+      const cells = this._cellsForBox(
+        Math.min(segment.a.x, segment.b.x) - tolerance,
+        Math.min(segment.a.y, segment.b.y) - tolerance,
+        Math.max(segment.a.x, segment.b.x) + tolerance,
+        Math.max(segment.a.y, segment.b.y) + tolerance
+      );
+      for (const cell of cells) {
+        if (!grid.has(cell)) grid.set(cell, []);
+        grid.get(cell).push(index);
+      }
+    });
+    const tested = new Set();
+    for (const bucket of grid.values()) {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const key = `${bucket[i]}:${bucket[j]}`;
+          if (tested.has(key)) continue;
+          tested.add(key);
+          this._splitPair(segments[bucket[i]], segments[bucket[j]]);
+        }
+      }
+    }
+  }
+
+  _splitPair(first, second) {
+    if (first.lineIndex === second.lineIndex && Math.abs(first.index - second.index) <= 1) {
+      return;
+    }
+    const hit = segmentIntersection(first.a, first.b, second.a, second.b);
+    if (hit) {
+      first.splits.push(Math.max(0, Math.min(1, hit.t)));
+      second.splits.push(Math.max(0, Math.min(1, hit.u)));
+    }
+    for (const [segment, other] of [[first, second], [second, first]]) {
+      for (const endpoint of [segment.a, segment.b]) {
+        const projection = projectOntoSegment(endpoint, other.a, other.b);
+        if (projection.distance <= this.snapTolerance && projection.t > 0 && projection.t < 1) {
+          other.splits.push(projection.t);
+        }
+      }
+    }
+  }
+
+  _vertexAt(point) {
+    const size = this.snapTolerance;
+    const cx = Math.floor(point.x / size);
+    const cy = Math.floor(point.y / size);
+    let best = null;
+    let bestDistance = size;
+    for (let y = cy - 1; y <= cy + 1; y++) {
+      for (let x = cx - 1; x <= cx + 1; x++) {
+        for (const vertexId of this._vertexGrid.get(`${x},${y}`) || []) {
+          const vertex = this.vertices[vertexId];
+          const distance = Math.hypot(vertex.x - point.x, vertex.y - point.y);
+          if (distance <= bestDistance) {
+            best = vertexId;
+            bestDistance = distance;
+          }
+        }
+      }
+    }
+    if (best != null) {
+      return best;
+    }
+    const id = this.vertices.length;
+    this.vertices.push({ x: point.x, y: point.y });
+    this.adjacency.push([]);
+    const key = `${cx},${cy}`;
+    if (!this._vertexGrid.has(key)) this._vertexGrid.set(key, []);
+    this._vertexGrid.get(key).push(id);
+    return id;
+  }
+
+  _addEdge(from, to, line) {
+    const a = this.vertices[from];
+    const b = this.vertices[to];
+    const edge = {
+      id: this.edges.length,
+      from,
+      to,
+      length: Math.hypot(b.x - a.x, b.y - a.y),
+      kind: line.kind,
+      cost: line.cost,
+      oneway: line.oneway,
+      featureId: line.featureId,
+      source: line.source
+    };
+    this.edges.push(edge);
+    this.adjacency[from].push({ edge, to });
+    if (!edge.oneway) {
+      this.adjacency[to].push({ edge, to: from });
+    }
+    const cells = this._cellsForBox(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.max(a.x, b.x), Math.max(a.y, b.y));
+    for (const cell of cells) {
+      if (!this._edgeGrid.has(cell)) this._edgeGrid.set(cell, []);
+      this._edgeGrid.get(cell).push(edge.id);
+    }
+    return edge;
+  }
+}
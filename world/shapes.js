@@ -0,0 +1,87 @@
+function cellBounds(a, b) {
+  return {
+    minX: Math.min(Math.floor(a.x), Math.floor(b.x)),
+    minY: Math.min(Math.floor(a.y), Math.floor(b.y)),
+    maxX: Math.max(Math.floor(a.x), Math.floor(b.x)),
+    maxY: Math.max(Math.floor(a.y), Math.floor(b.y))
+  };
+}
+
+function distanceToSegmentSq(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  const ex = px - (ax + dx * t);
+  const ey = py - (ay + dy * t);
+  return ex * ex + ey * ey;
+}
+
+export function rasterizeLine(a, b, { thickness = 1 } = {}) {
+  if (!a || !b) {
+    return [];
+  }
+  const radius = Math.max(0.5, (Number.isFinite(thickness) ? thickness : 1) / 2);
+  const ax = Math.floor(a.x) + 0.5;
+  const ay = Math.floor(a.y) + 0.5;
+  const bx = Math.floor(b.x) + 0.5;
+  const by = Math.floor(b.y) + 0.5;
+  const bounds = cellBounds(a, b);
+  const pad = Math.ceil(radius);
+  const radiusSq = radius * radius;
+  const cells = [];
+  for (let y = bounds.minY - pad; y <= bounds.maxY + pad; y++) {
+    for (let x = bounds.minX - pad; x <= bounds.maxX + pad; x++) {
+      if (distanceToSegmentSq(x + 0.5, y + 0.5, ax, ay, bx, by) <= radiusSq) {
+        cells.push({ x, y });
+      }
+    }
+  }
+  return cells;
+}
+
+export function rasterizeRect(a, b, { filled = true, thickness = 1 } = {}) {
+  if (!a || !b) {
+    return [];
+  }
+  const { minX, minY, maxX, maxY } = cellBounds(a, b);
+  const border = Math.max(1, Math.round(Number.isFinite(thickness) ? thickness : 1));
+  const cells = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const edge = Math.min(x - minX, maxX - x, y - minY, maxY - y);
+      if (filled || edge < border) {
+        cells.push({ x, y });
+      }
+    }
+  }
+  return cells;
+}
+
+export function rasterizeEllipse(a, b, { filled = true, thickness = 1 } = {}) {
+  if (!a || !b) {
+    return [];
+  }
+  const { minX, minY, maxX, maxY } = cellBounds(a, b);
+  const centerX = (minX + maxX + 1) / 2;
+  const centerY = (minY + maxY + 1) / 2;
+  const radiusX = (maxX - minX + 1) / 2;
+  const radiusY = (maxY - minY + 1) / 2;
+  const border = Math.max(1, Number.isFinite(thickness) ? thickness : 1);
+  const innerX = radiusX - border;
+  const innerY = radiusY - border;
+  const inside = (x, y, rx, ry) => {
+    const nx = (x + 0.5 - centerX) / rx;
+    const ny = (y + 0.5 - centerY) / ry;
+    return nx * nx + ny * ny <= 1;
+  };
+  const cells = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      if (!inside(x, y, radiusX, radiusY)) continue;
+      if (!filled && innerX > 0 && innerY > 0 && inside(x, y, innerX, innerY)) continue;
+      cells.push({ x, y });
+    }
+  }
+  return cells;
+}
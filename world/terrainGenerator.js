@@ -0,0 +1,124 @@
+import { hashLattice, valueNoise } from './noise.js';
+
+const GENERATOR_TYPE = 'noise-bands';
+const GENERATOR_VERSION = 1;
+
+const DEFAULT_PARAMS = {
+  scale: 1 / 192,
+  octaves: 5,
+  lacunarity: 2,
+  gain: 0.5,
+  warpScale: 1 / 256,
+  warpStrength: 48,
+  moistureScale: 1 / 160,
+  seaLevel: 0.42,
+  mountainLevel: 0.72,
+  forestMoisture: 0.55,
+  heightScale: 0.85,
+  materials: {
+    water: 'water',
+    grass: 'grass',
+    forest: 'forest',
+    mountain: 'mountain',
+    subsurface: 'mountain'
+  }
+};
+
+const SALT_ELEVATION = 0x9e3779b1;
+const SALT_MOISTURE = 0x85ebca6b;
+const SALT_WARP_X = 0xc2b2ae35;
+const SALT_WARP_Y = 0x27d4eb2f;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function fbm(seed, x, y, { octaves, lacunarity, gain }) {
+  let amplitude = 1;
+  let frequency = 1;
+  let sum = 0;
+  let norm = 0;
+  for (let i = 0; i < octaves; i++) {
+    sum += valueNoise((seed + Math.imul(i, 0x632be5ab)) >>> 0, x * frequency, y * frequency) * amplitude;
+    norm += amplitude;
+    amplitude *= gain;
+    frequency *= lacunarity;
+  }
+  return norm > 0 ? sum / norm : 0;
+}
+
+function normaliseParams(params) {
+  const merged = { ...DEFAULT_PARAMS, ...(params && typeof params === 'object' ? params : {}) };
+  merged.materials = { ...DEFAULT_PARAMS.materials, ...(params?.materials || {}) };
+  merged.octaves = clamp(Math.floor(merged.octaves) || 1, 1, 8);
+  for (const key of ['scale', 'lacunarity', 'gain', 'warpScale', 'warpStrength', 'moistureScale', 'seaLevel', 'mountainLevel', 'forestMoisture', 'heightScale']) {
+    if (!Number.isFinite(merged[key])) {
+      merged[key] = DEFAULT_PARAMS[key];
+    }
+  }
+  return merged;
+}
+
+export class TerrainGenerator {
+  constructor({ seed = 0, params = null } = {}) {
+    this.seed = seed >>> 0;
+    this.params = normaliseParams(params);
+  }
+
+  static fromJSON(record, { seed } = {}) {
+    if (!record || typeof record !== 'object' || record.type !== GENERATOR_TYPE) {
+      return null;
+    }
+    return new TerrainGenerator({ seed: seed ?? record.seed ?? 0, params: record.params });
+  }
+
+  toJSON() {
+    const params = { ...this.params, materials: { ...this.params.materials } };
+    return { type: GENERATOR_TYPE, version: GENERATOR_VERSION, params };
+  }
+
+  sampleElevation(x, y) {
+    const p = this.params;
+    const warpX = (fbm((this.seed ^ SALT_WARP_X) >>> 0, x * p.warpScale, y * p.warpScale, p) - 0.5) * 2 * p.warpStrength;
+    const warpY = (fbm((this.seed ^ SALT_WARP_Y) >>> 0, x * p.warpScale, y * p.warpScale, p) - 0.5) * 2 * p.warpStrength;
+    return fbm((this.seed ^ SALT_ELEVATION) >>> 0, (x + warpX) * p.scale, (y + warpY) * p.scale, p);
+  }
+
+  sampleMoisture(x, y) {
+    const p = this.params;
+    return fbm((this.seed ^ SALT_MOISTURE) >>> 0, x * p.moistureScale, y * p.moistureScale, { ...p, octaves: Math.max(1, p.octaves - 2) });
+  }
+
+  sampleColumn(x, y, layers) {
+    const p = this.params;
+    const maxZ = Math.max(0, layers - 1);
+    const elevation = this.sampleElevation(x, y);
+    const moisture = this.sampleMoisture(x, y);
+    const groundZ = clamp(Math.floor(elevation * maxZ * p.heightScale), 0, maxZ);
+    const waterZ = clamp(Math.floor(p.seaLevel * maxZ * p.heightScale), 0, maxZ);
+    let biome;
+    if (elevation < p.seaLevel) {
+      biome = 'water';
+    } else if (elevation >= p.mountainLevel) {
+      biome = 'mountain';
+    } else if (moisture >= p.forestMoisture) {
+      biome = 'forest';
+    } else {
+      biome = 'grass';
+    }
+    return {
+      elevation,
+      moisture,
+      biome,
+      groundZ,
+      waterZ: biome === 'water' ? Math.max(groundZ, waterZ) : groundZ,
+      surfaceMaterial: biome === 'water' ? p.materials.subsurface : p.materials[biome],
+      fillMaterial: p.materials.subsurface,
+      waterMaterial: p.materials.water
+    };
+  }
+}
+
+export function createTerrainGenerator(options) {
+  return new TerrainGenerator(options);
+}
@@ -1,6 +1,24 @@
+import { ChunkVoxelStorage, decodeWords } from './chunkStorage.js';
+import { CHUNK_ENCODING_VERSION, columnVoxelsEqual, decodeColumnRuns, encodeColumnRuns } from './chunkCodec.js';
+import { PREFAB_VERSION, decodePrefabVoxels, normalisePrefab, transformPrefabCell } from './prefabs.js';
+
 const DEFAULT_CHUNK_SIZE = 32;
 const DEFAULT_CHUNK_HEIGHT = 32;
 const DEFAULT_ZOOM_THRESHOLDS = [-Infinity];
+const AIR = 0;
+const DEFAULT_HISTORY_LIMIT = 64;
+const DEFAULT_HISTORY_BYTES = 16 * 1024 * 1024;
+const VOXEL_DELTA_BYTES = 12;
+const COLUMN_DELTA_OVERHEAD = 32;
+const DEFAULT_FLOOD_LIMIT = 65536;
+const TRANSIENT_CHUNK_LIMIT = 64;
+
+let chunkRevisionSeq = 0;
+
+function nextChunkRevision() {
+  chunkRevisionSeq += 1;
+  return chunkRevisionSeq;
+}
 
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
@@ -53,10 +71,37 @@ function decodeColumn(data) {
   return column;
 }
 
+function encodeColumnExtras(column) {
+  const encoded = encodeColumn(column);
+  if (!encoded) {
+    return null;
+  }
+  delete encoded.top;
+  return Object.keys(encoded).length > 0 ? encoded : null;
+}
+
+function encodeVoxelValue(tileId) {
+  return Math.min((tileId >>> 0) + 1, 0xffffffff);
+}
+
+function decodeVoxelValue(value) {
+  return value === AIR ? null : value - 1;
+}
+
+function estimateColumnBytes(column) {
+  const encoded = encodeColumn(column);
+  return COLUMN_DELTA_OVERHEAD + (encoded ? JSON.stringify(encoded).length * 2 : 0);
+}
+
 function createEmptyColumn() {
   return { top: null, spriteKey: null, variant: null, metadata: null };
 }
 
+function isColumnEmpty(column) {
+  return !column || (!column.top && column.spriteKey == null && column.variant == null &&
+    !(column.metadata && Object.keys(column.metadata).length > 0));
+}
+
 function cloneColumn(column) {
   if (!column) {
     return createEmptyColumn();
@@ -81,52 +126,20 @@ function clonePayloadRefs(payloadRefs) {
   };
 }
 
-function encodeVoxels(typedArray) {
-  if (!(typedArray instanceof Uint32Array)) {
-    return '';
-  }
-  if (typeof Buffer === 'function') {
-    return Buffer.from(typedArray.buffer).toString('base64');
-  }
-  const bytes = new Uint8Array(typedArray.buffer);
-  let binary = '';
-  const chunkSize = 0x8000;
-  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
-    const slice = bytes.subarray(offset, offset + chunkSize);
-    binary += String.fromCharCode.apply(null, slice);
-  }
-  if (typeof btoa === 'function') {
-    return btoa(binary);
-  }
-  return binary;
-}
-
-function decodeVoxels(base64, length) {
-  if (typeof base64 !== 'string' || base64.length === 0) {
-    return new Uint32Array(length);
-  }
-  if (typeof Buffer === 'function') {
-    const buffer = Buffer.from(base64, 'base64');
-    const array = new Uint32Array(length);
-    array.set(new Uint32Array(buffer.buffer, buffer.byteOffset, Math.min(buffer.byteLength, length * 4) / 4));
-    return array;
-  }
-  if (typeof atob === 'function') {
-    const binary = atob(base64);
-    const buffer = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      buffer[i] = binary.charCodeAt(i);
-    }
-    const array = new Uint32Array(length);
-    array.set(new Uint32Array(buffer.buffer, buffer.byteOffset, Math.min(buffer.byteLength, length * 4) / 4));
-    return array;
-  }
-  return new Uint32Array(length);
-}
-
 export class VoxelWorld {
-  constructor({ bounds, chunkSize = DEFAULT_CHUNK_SIZE, chunkHeight = DEFAULT_CHUNK_HEIGHT, zoomThresholds = DEFAULT_ZOOM_THRESHOLDS } = {}) {
+  constructor({
+    bounds,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    chunkHeight = DEFAULT_CHUNK_HEIGHT,
+    zoomThresholds = DEFAULT_ZOOM_THRESHOLDS,
+    palette = null,
+    generator = null,
+    historyLimit = DEFAULT_HISTORY_LIMIT,
+    historyByteBudget = DEFAULT_HISTORY_BYTES
+  } = {}) {
     this.bounds = normaliseBounds(bounds);
+    this.palette = palette || null;
+    this.generator = generator || null;
     this.chunkSize = Math.max(1, Math.floor(chunkSize));
     this.chunkHeight = Math.max(1, Math.floor(chunkHeight));
     this.zoomThresholds = Array.isArray(zoomThresholds) && zoomThresholds.length > 0
@@ -137,6 +150,18 @@ export class VoxelWorld {
     this.nodes = new Map();
     this.rootId = 'root';
     this.maxLod = 0;
+    this.historyLimit = Math.max(1, Math.floor(historyLimit) || DEFAULT_HISTORY_LIMIT);
+    this.historyByteBudget = Math.max(0, Number.isFinite(historyByteBudget) ? historyByteBudget : DEFAULT_HISTORY_BYTES);
+    this._undoStack = [];
+    this._redoStack = [];
+    this._historyBytes = 0;
+    this._activeStroke = null;
+    this._strokeSeq = 1;
+    this._subscribers = new Set();
+    this._pendingColumns = new Map();
+    this._transientChunks = new Map();
+    this._transientRevisions = new Map();
+    this._transientLimit = TRANSIENT_CHUNK_LIMIT;
     this._createRoot();
   }
 
@@ -194,11 +219,8 @@ export class VoxelWorld {
     return { chunkX, chunkY, localX, localY };
   }
 
-  _createChunk(cx, cy) {
+  _buildChunk(cx, cy) {
     const key = this._chunkKey(cx, cy);
-    if (this.nodes.has(key)) {
-      return this.nodes.get(key);
-    }
     const minX = this.bounds.minX + cx * this.chunkSize;
     const minY = this.bounds.minY + cy * this.chunkSize;
     const maxX = Math.min(minX + this.chunkSize, this.bounds.maxX);
@@ -230,9 +252,24 @@ export class VoxelWorld {
       },
       minZoom: this.zoomThresholds[0] ?? -Infinity,
       maxZoom: null,
-      voxels: new Uint32Array(this.chunkSize * this.chunkSize * this.chunkHeight),
-      columns: Array.from({ length: this.chunkSize * this.chunkSize }, () => createEmptyColumn())
+      voxels: new ChunkVoxelStorage(this.chunkSize * this.chunkSize * this.chunkHeight),
+      columns: null,
+      revision: nextChunkRevision(),
+      generatedRevision: null,
+      dirtyColumns: null
     };
+    return chunk;
+  }
+
+  _createChunk(cx, cy, { generate = true } = {}) {
+    const key = this._chunkKey(cx, cy);
+    if (this.nodes.has(key)) {
+      return this.nodes.get(key);
+    }
+    const transient = generate ? this._transientChunks.get(key) : null;
+    this._transientChunks.delete(key);
+    this._transientRevisions.delete(key);
+    const chunk = transient || this._buildChunk(cx, cy);
     this.nodes.set(key, chunk);
     const root = this.nodes.get(this.rootId);
     if (root) {
@@ -241,9 +278,108 @@ export class VoxelWorld {
         root.metadata.updatedAt = Date.now();
       }
     }
+    if (!transient && generate && this.generator) {
+      this._generateChunk(chunk);
+    }
     return chunk;
   }
 
+  subscribe(listener, { granularity = 'chunk', chunkIds = null, bounds = null } = {}) {
+    if (typeof listener !== 'function') {
+      return () => {};
+    }
+    const subscriber = {
+      listener,
+      columns: granularity === 'column',
+      chunkIds: chunkIds ? new Set(chunkIds) : null,
+      bounds: bounds ? { ...bounds } : null
+    };
+    this._subscribers.add(subscriber);
+    return () => this._subscribers.delete(subscriber);
+  }
+
+  getDirtyChunks() {
+    const dirty = [];
+    for (const node of this.nodes.values()) {
+      if (node.dirtyColumns?.size > 0) {
+        dirty.push({ chunkId: node.id, revision: node.revision, columns: Array.from(node.dirtyColumns).sort((a, b) => a - b) });
+      }
+    }
+    return dirty;
+  }
+
+  consumeDirtyChunks() {
+    const dirty = this.getDirtyChunks();
+    for (const { chunkId } of dirty) {
+      this.nodes.get(chunkId).dirtyColumns = null;
+    }
+    return dirty;
+  }
+
+  setGenerator(generator) {
+    this.generator = generator || null;
+    this._transientChunks.clear();
+    this._transientRevisions.clear();
+  }
+
+  _generateChunk(chunk) {
+    const counts = new Map();
+    for (let localY = 0; localY < this.chunkSize; localY++) {
+      for (let localX = 0; localX < this.chunkSize; localX++) {
+        const worldX = chunk.bounds.minX + localX;
+        const worldY = chunk.bounds.minY + localY;
+        if (worldX >= chunk.bounds.maxX || worldY >= chunk.bounds.maxY) continue;
+        const sample = this.generator.sampleColumn(worldX + 0.5, worldY + 0.5, this.chunkHeight);
+        const fillId = this.resolveMaterialId(sample.fillMaterial);
+        const surfaceId = this.resolveMaterialId(sample.surfaceMaterial);
+        const waterId = this.resolveMaterialId(sample.waterMaterial);
+        for (let z = 0; z < sample.groundZ; z++) {
+          chunk.voxels.set(this._voxelIndex(localX, localY, z), encodeVoxelValue(fillId));
+        }
+        chunk.voxels.set(this._voxelIndex(localX, localY, sample.groundZ), encodeVoxelValue(surfaceId));
+        let top = { tileId: surfaceId, z: sample.groundZ };
+        for (let z = sample.groundZ + 1; z <= sample.waterZ; z++) {
+          chunk.voxels.set(this._voxelIndex(localX, localY, z), encodeVoxelValue(waterId));
+          top = { tileId: waterId, z };
+        }
+        this._storeColumn(chunk, this._columnIndex(localX, localY), {
+          top,
+          spriteKey: null,
+          variant: sample.biome,
+          metadata: null
+        });
+        counts.set(top.tileId, (counts.get(top.tileId) || 0) + 1);
+      }
+    }
+    let dominant = null;
+    let dominantCount = -1;
+    for (const [tileId, count] of counts) {
+      if (count > dominantCount) {
+        dominant = tileId;
+        dominantCount = count;
+      }
+    }
+    if (dominant != null) {
+      chunk.payloadRefs.terrain = dominant;
+    }
+    chunk.voxels.compact();
+    chunk.revision = nextChunkRevision();
+    chunk.generatedRevision = chunk.revision;
+  }
+
+  _generateReference(chunk) {
+    const reference = {
+      bounds: chunk.bounds,
+      payloadRefs: { terrain: null },
+      voxels: new ChunkVoxelStorage(this.chunkSize * this.chunkSize * this.chunkHeight),
+      columns: null,
+      revision: 0,
+      generatedRevision: null
+    };
+    this._generateChunk(reference);
+    return reference;
+  }
+
   getChunk(cx, cy) {
     if (!Number.isInteger(cx) || !Number.isInteger(cy)) {
       return null;
@@ -254,6 +390,61 @@ export class VoxelWorld {
     return this._createChunk(cx, cy);
   }
 
+  peekChunk(cx, cy) {
+    if (!Number.isInteger(cx) || !Number.isInteger(cy)) {
+      return null;
+    }
+    if (cx < 0 || cy < 0 || cx >= this.chunkCountX || cy >= this.chunkCountY) {
+      return null;
+    }
+    const key = this._chunkKey(cx, cy);
+    const chunk = this.nodes.get(key);
+    if (chunk) {
+      return chunk;
+    }
+    if (!this.generator) {
+      return null;
+    }
+    let transient = this._transientChunks.get(key);
+    if (transient) {
+      this._transientChunks.delete(key);
+    } else {
+      transient = this._buildChunk(cx, cy);
+      this._generateChunk(transient);
+      const revision = this._transientRevisions.get(key);
+      if (revision != null) {
+        transient.revision = revision;
+        transient.generatedRevision = revision;
+      } else {
+        this._transientRevisions.set(key, transient.revision);
+      }
+    }
+    this._transientChunks.set(key, transient);
+    this._trimTransientChunks();
+    return transient;
+  }
+
+  _trimTransientChunks() {
+    while (this._transientChunks.size > this._transientLimit) {
+      this._transientChunks.delete(this._transientChunks.keys().next().value);
+    }
+  }
+
+  _chunkForWrite(cx, cy, create) {
+    if (create || this.generator) {
+      return this.getChunk(cx, cy);
+    }
+    return this.nodes.get(this._chunkKey(cx, cy)) || null;
+  }
+
+  getChunkAt(worldX, worldY) {
+    if (!this._containsPoint(worldX, worldY)) {
+      return null;
+    }
+    const { chunkX, chunkY } = this._worldToChunk(worldX, worldY);
+    return this.getChunk(chunkX, chunkY);
+  }
+
   getChunkById(id) {
     if (!id || typeof id !== 'string') {
       return null;
@@ -265,10 +456,28 @@ export class VoxelWorld {
     return this.nodes.get(id) || null;
   }
 
-  ensureNodeForTile(lod, tileX, tileY) {
-    const cx = clamp(Number.isFinite(tileX) ? Math.floor(tileX) : 0, 0, this.chunkCountX - 1);
-    const cy = clamp(Number.isFinite(tileY) ? Math.floor(tileY) : 0, 0, this.chunkCountY - 1);
-    return this.getChunk(cx, cy);
+  ensureNodesForBounds(bounds) {
+    if (!bounds || ![bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite)) {
+      return [];
+    }
+    const minX = Math.max(bounds.minX, this.bounds.minX);
+    const minY = Math.max(bounds.minY, this.bounds.minY);
+    const maxX = Math.min(bounds.maxX, this.bounds.maxX);
+    const maxY = Math.min(bounds.maxY, this.bounds.maxY);
+    if (maxX <= minX || maxY <= minY) {
+      return [];
+    }
+    const minCx = clamp(Math.floor((minX - this.bounds.minX) / this.chunkSize), 0, this.chunkCountX - 1);
+    const maxCx = clamp(Math.ceil((maxX - this.bounds.minX) / this.chunkSize) - 1, 0, this.chunkCountX - 1);
+    const minCy = clamp(Math.floor((minY - this.bounds.minY) / this.chunkSize), 0, this.chunkCountY - 1);
+    const maxCy = clamp(Math.ceil((maxY - this.bounds.minY) / this.chunkSize) - 1, 0, this.chunkCountY - 1);
+    const chunks = [];
+    for (let cy = minCy; cy <= maxCy; cy++) {
+      for (let cx = minCx; cx <= maxCx; cx++) {
+        chunks.push(this.getChunk(cx, cy));
+      }
+    }
+    return chunks;
   }
 
   setNodePayload(nodeId, payloadRefs = {}) {
@@ -278,7 +487,7 @@ export class VoxelWorld {
     }
     const existing = chunk.payloadRefs;
     chunk.payloadRefs = {
-      terrain: payloadRefs.terrain ?? existing.terrain ?? null,
+      terrain: payloadRefs.terrain !== undefined ? payloadRefs.terrain : existing.terrain ?? null,
       terrainPatches: Array.isArray(payloadRefs.terrainPatches)
         ? payloadRefs.terrainPatches.map((patch) => ({ ...patch }))
         : existing.terrainPatches.map((patch) => ({ ...patch })),
@@ -299,6 +508,13 @@ export class VoxelWorld {
         : existing.effects.map((feature) => ({ ...feature }))
     };
     chunk.metadata.updatedAt = Date.now();
+    this._emitChange('payload', [{
+      chunkId: chunk.id,
+      chunkX: chunk.chunkX,
+      chunkY: chunk.chunkY,
+      revision: chunk.revision,
+      columns: []
+    }]);
     return chunk;
   }
 
@@ -320,6 +536,24 @@ export class VoxelWorld {
     return chunk.metadata;
   }
 
+  get maxHeight() {
+    return this.chunkHeight;
+  }
+
+  get defaultMaterial() {
+    return this.palette?.defaultTileKey ?? null;
+  }
+
+  resolveMaterialId(material) {
+    if (Number.isFinite(material)) {
+      return material >>> 0;
+    }
+    if (typeof material === 'string' && this.palette?.byKey?.[material]) {
+      return this.palette.byKey[material].id;
+    }
+    return this.palette?.defaultTileId ?? null;
+  }
+
   setVoxel(worldX, worldY, worldZ, tileId, { spriteKey = null, variant = null, metadata = null } = {}) {
     if (!Number.isFinite(worldX) || !Number.isFinite(worldY)) {
       return null;
@@ -330,11 +564,9 @@ export class VoxelWorld {
       return null;
     }
     const z = clamp(Number.isFinite(worldZ) ? Math.floor(worldZ) : 0, 0, this.chunkHeight - 1);
-    const index = this._voxelIndex(localX, localY, z);
-    chunk.voxels[index] = tileId >>> 0;
+    this._writeVoxel(chunk, localX, localY, z, tileId >>> 0);
     const columnIndex = this._columnIndex(localX, localY);
-    const column = chunk.columns[columnIndex] ?? createEmptyColumn();
-    column.top = { tileId: tileId >>> 0, z };
+    const column = cloneColumn(this._readColumn(chunk, columnIndex));
     if (spriteKey != null) {
       column.spriteKey = spriteKey;
     }
@@ -344,14 +576,957 @@ export class VoxelWorld {
     if (metadata && typeof metadata === 'object') {
       column.metadata = { ...metadata };
     }
-    chunk.columns[columnIndex] = column;
+    this._writeColumn(chunk, columnIndex, column);
     if (chunk.payloadRefs.terrain == null) {
       chunk.payloadRefs.terrain = tileId >>> 0;
     }
-    chunk.metadata.updatedAt = Date.now();
+    this._touchChunks([chunk]);
     return chunk;
   }
 
+  getVoxel(worldX, worldY, worldZ) {
+    if (!this._containsPoint(worldX, worldY) || !Number.isFinite(worldZ)) {
+      return null;
+    }
+    const z = Math.floor(worldZ);
+    if (z < 0 || z >= this.chunkHeight) {
+      return null;
+    }
+    const { chunkX, chunkY, localX, localY } = this._worldToChunk(worldX, worldY);
+    const chunk = this.peekChunk(chunkX, chunkY);
+    if (!chunk) {
+      return null;
+    }
+    return decodeVoxelValue(chunk.voxels.get(this._voxelIndex(localX, localY, z)));
+  }
+
+  pickColumn(worldX, worldY) {
+    if (!this._containsPoint(worldX, worldY)) {
+      return null;
+    }
+    const { chunkX, chunkY, localX, localY } = this._worldToChunk(worldX, worldY);
+    const chunk = this.peekChunk(chunkX, chunkY);
+    const column = chunk ? this._readColumn(chunk, this._columnIndex(localX, localY)) : null;
+    return {
+      x: this.bounds.minX + chunkX * this.chunkSize + localX,
+      y: this.bounds.minY + chunkY * this.chunkSize + localY,
+      z: column?.top ? column.top.z : null,
+      chunkId: this._chunkKey(chunkX, chunkY),
+      localX,
+      localY,
+      column: cloneColumn(column)
+    };
+  }
+
+  raycast(origin, direction, { maxDistance = Infinity } = {}) {
+    if (!origin || !direction) {
+      return null;
+    }
+    const length = Math.hypot(direction.x || 0, direction.y || 0, direction.z || 0);
+    if (!Number.isFinite(length) || length === 0) {
+      return null;
+    }
+    const dx = (direction.x || 0) / length;
+    const dy = (direction.y || 0) / length;
+    const dz = (direction.z || 0) / length;
+    let ox = origin.x;
+    let oy = origin.y;
+    let oz = origin.z;
+    if (![ox, oy, oz].every(Number.isFinite)) {
+      return null;
+    }
+    let clipped = 0;
+    let travelled = 0;
+    let face = null;
+    if (oz >= this.chunkHeight) {
+      if (dz >= 0) {
+        return null;
+      }
+      const t = (oz - this.chunkHeight) / -dz;
+      ox += dx * t;
+      oy += dy * t;
+      oz = this.chunkHeight - 1e-9;
+      clipped = t;
+      travelled = t;
+      face = 'top';
+    }
+    let x = Math.floor(ox);
+    let y = Math.floor(oy);
+    let z = Math.floor(oz);
+    const stepX = dx > 0 ? 1 : dx < 0 ? -1 : 0;
+    const stepY = dy > 0 ? 1 : dy < 0 ? -1 : 0;
+    const stepZ = dz > 0 ? 1 : dz < 0 ? -1 : 0;
+    const deltaX = stepX !== 0 ? Math.abs(1 / dx) : Infinity;
+    const deltaY = stepY !== 0 ? Math.abs(1 / dy) : Infinity;
+    const deltaZ = stepZ !== 0 ? Math.abs(1 / dz) : Infinity;
+    let maxX = stepX > 0 ? (x + 1 - ox) * deltaX : stepX < 0 ? (ox - x) * deltaX : Infinity;
+    let maxY = stepY > 0 ? (y + 1 - oy) * deltaY : stepY < 0 ? (oy - y) * deltaY : Infinity;
+    let maxZ = stepZ > 0 ? (z + 1 - oz) * deltaZ : stepZ < 0 ? (oz - z) * deltaZ : Infinity;
+    const faces = {
+      x: stepX > 0 ? 'west' : 'east',
+      y: stepY > 0 ? 'north' : 'south',
+      z: stepZ > 0 ? 'bottom' : 'top'
+    };
+    let chunk = null;
+    let chunkX = null;
+    let chunkY = null;
+    while (travelled <= maxDistance) {
+      const inside = this._containsPoint(x + 0.5, y + 0.5);
+      if (z < 0) {
+        return inside ? this._raycastHit(x, y, -1, 'top', travelled) : null;
+      }
+      if (z >= this.chunkHeight) {
+        return null;
+      }
+      if (inside) {
+        const cell = this._worldToChunk(x + 0.5, y + 0.5);
+        if (cell.chunkX !== chunkX || cell.chunkY !== chunkY) {
+          chunkX = cell.chunkX;
+          chunkY = cell.chunkY;
+          chunk = this.peekChunk(chunkX, chunkY);
+        }
+        if (chunk && !chunk.voxels.isEmpty() &&
+          chunk.voxels.get(this._voxelIndex(cell.localX, cell.localY, z)) !== AIR) {
+          return this._raycastHit(x, y, z, face, travelled);
+        }
+      } else if ((x < this.bounds.minX && stepX <= 0) || (x >= this.bounds.maxX && stepX >= 0) ||
+        (y < this.bounds.minY && stepY <= 0) || (y >= this.bounds.maxY && stepY >= 0)) {
+        return null;
+      }
+      if (maxX < maxY && maxX < maxZ) {
+        x += stepX;
+        travelled = clipped + maxX;
+        maxX += deltaX;
+        face = faces.x;
+      } else if (maxY < maxZ) {
+        y += stepY;
+        travelled = clipped + maxY;
+        maxY += deltaY;
+        face = faces.y;
+      } else {
+        z += stepZ;
+        travelled = clipped + maxZ;
+        maxZ += deltaZ;
+        face = faces.z;
+      }
+    }
+    return null;
+  }
+
+  _raycastHit(x, y, z, face, distance) {
+    const { chunkX, chunkY, localX, localY } = this._worldToChunk(x + 0.5, y + 0.5);
+    return {
+      x,
+      y,
+      z,
+      face,
+      distance,
+      chunkId: this._chunkKey(chunkX, chunkY),
+      localX,
+      localY
+    };
+  }
+
+  forEachColumnInBounds(bounds, callback) {
+    if (!bounds || typeof callback !== 'function') {
+      return;
+    }
+    const minX = Math.max(this.bounds.minX, Math.floor(bounds.minX ?? bounds.left ?? this.bounds.minX));
+    const minY = Math.max(this.bounds.minY, Math.floor(bounds.minY ?? bounds.top ?? this.bounds.minY));
+    const maxX = Math.min(this.bounds.maxX, Math.ceil(bounds.maxX ?? bounds.right ?? this.bounds.maxX));
+    const maxY = Math.min(this.bounds.maxY, Math.ceil(bounds.maxY ?? bounds.bottom ?? this.bounds.maxY));
+    for (let y = minY; y < maxY; y++) {
+      for (let x = minX; x < maxX; x++) {
+        const { chunkX, chunkY, localX, localY } = this._worldToChunk(x + 0.5, y + 0.5);
+        const chunk = this.peekChunk(chunkX, chunkY);
+        if (!chunk) continue;
+        callback(this._readColumn(chunk, this._columnIndex(localX, localY)), { x, y, chunk, localX, localY });
+      }
+    }
+  }
+
+  applyPaintBrush(centerX, centerY, radius, material) {
+    const tileId = this.resolveMaterialId(material);
+    if (tileId == null) {
+      return 0;
+    }
+    return this._applyRadiusBrush(centerX, centerY, radius, this._paintColumnOp(tileId));
+  }
+
+  applyEraseBrush(centerX, centerY, radius) {
+    return this._applyRadiusBrush(centerX, centerY, radius, this._eraseColumnOp(), { create: false });
+  }
+
+  applyHeightBrush(centerX, centerY, radius, delta) {
+    const steps = Number.isFinite(delta) ? Math.round(delta) : 0;
+    if (steps === 0) {
+      return 0;
+    }
+    return this._applyRadiusBrush(centerX, centerY, radius, this._heightColumnOp(steps), { create: steps > 0 });
+  }
+
+  applyPropBrush(centerX, centerY, radius, propId) {
+    return this._applyRadiusBrush(centerX, centerY, radius, this._propColumnOp(propId), { create: propId != null });
+  }
+
+  applyPaintCells(cells, material) {
+    const tileId = this.resolveMaterialId(material);
+    if (tileId == null) {
+      return 0;
+    }
+    return this._applyColumnCells(cells, this._paintColumnOp(tileId));
+  }
+
+  applyEraseCells(cells) {
+    return this._applyColumnCells(cells, this._eraseColumnOp(), { create: false });
+  }
+
+  applyHeightCells(cells, delta) {
+    const steps = Number.isFinite(delta) ? Math.round(delta) : 0;
+    if (steps === 0) {
+      return 0;
+    }
+    return this._applyColumnCells(cells, this._heightColumnOp(steps), { create: steps > 0 });
+  }
+
+  applyPropCells(cells, propId) {
+    return this._applyColumnCells(cells, this._propColumnOp(propId), { create: propId != null });
+  }
+
+  fillCellsToHeight(cells, level, material) {
+    const tileId = this.resolveMaterialId(material);
+    if (tileId == null || !Number.isFinite(level)) {
+      return 0;
+    }
+    const top = clamp(Math.floor(level), 0, this.chunkHeight - 1);
+    return this._applyColumnCells(cells, (chunk, localX, localY, column) => {
+      let changed = false;
+      for (let z = column.top ? column.top.z + 1 : 0; z <= top; z++) {
+        changed = this._writeVoxel(chunk, localX, localY, z, tileId) || changed;
+      }
+      return changed;
+    });
+  }
+
+  collectFloodFill(worldX, worldY, { maxCells = DEFAULT_FLOOD_LIMIT } = {}) {
+    const start = this.pickColumn(worldX, worldY);
+    if (!start) {
+      return null;
+    }
+    const material = start.column.top ? start.column.top.tileId : null;
+    return this._floodColumns(start, maxCells, (column) => (column?.top ? column.top.tileId : null) === material);
+  }
+
+  collectBasin(worldX, worldY, level, { maxCells = DEFAULT_FLOOD_LIMIT } = {}) {
+    const start = this.pickColumn(worldX, worldY);
+    if (!start || !Number.isFinite(level)) {
+      return null;
+    }
+    const surface = Math.floor(level);
+    return this._floodColumns(start, maxCells, (column) => (column?.top ? column.top.z : -1) < surface, { enclosed: true });
+  }
+
+  _floodColumns(start, maxCells, matches, { enclosed = false } = {}) {
+    if (!matches(start.column)) {
+      return { cells: [], reason: null };
+    }
+    const limit = Math.max(1, Math.floor(maxCells) || DEFAULT_FLOOD_LIMIT);
+    const visited = new Set([`${start.x},${start.y}`]);
+    const queue = [{ x: start.x, y: start.y }];
+    const cells = [];
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      cells.push(cell);
+      if (cells.length > limit) {
+        return { cells, reason: 'limit' };
+      }
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const x = cell.x + dx;
+        const y = cell.y + dy;
+        const key = `${x},${y}`;
+        if (visited.has(key)) continue;
+        if (!this._containsPoint(x + 0.5, y + 0.5)) {
+          if (enclosed) {
+            return { cells, reason: 'open' };
+          }
+          continue;
+        }
+        visited.add(key);
+        if (matches(this.pickColumn(x + 0.5, y + 0.5)?.column)) {
+          queue.push({ x, y });
+        }
+      }
+    }
+    return { cells, reason: null };
+  }
+
+  _captureBaseLayer(cells) {
+    const references = new Map();
+    let edited = this.chunkHeight;
+    let surface = this.chunkHeight;
+    for (const cell of cells) {
+      const { chunkX, chunkY, localX, localY } = this._worldToChunk(cell.x + 0.5, cell.y + 0.5);
+      const chunk = this.peekChunk(chunkX, chunkY);
+      if (!chunk || chunk.voxels.isEmpty()) continue;
+      const columnIndex = this._columnIndex(localX, localY);
+      const top = this._readColumn(chunk, columnIndex)?.top;
+      let reference = null;
+      if (this.generator && chunk.generatedRevision != null) {
+        if (chunk.revision === chunk.generatedRevision) {
+          surface = Math.min(surface, top?.z ?? surface);
+          continue;
+        }
+        reference = references.get(chunk.id);
+        if (!reference) {
+          reference = this._generateReference(chunk);
+          references.set(chunk.id, reference);
+        }
+      }
+      let differs = false;
+      for (let z = 0; z < edited; z++) {
+        const index = this._voxelIndex(localX, localY, z);
+        const value = chunk.voxels.get(index);
+        if (reference ? value !== reference.voxels.get(index) : value !== AIR) {
+          edited = z;
+          differs = true;
+          break;
+        }
+      }
+      if (!differs && top) {
+        surface = Math.min(surface, top.z);
+      }
+    }
+    if (edited < this.chunkHeight) {
+      return edited;
+    }
+    return surface < this.chunkHeight ? surface : 0;
+  }
+
+  extractRegion(region, { name = 'prefab' } = {}) {
+    if (!region || typeof region !== 'object') {
+      return null;
+    }
+    let cells;
+    if (Array.isArray(region.columns)) {
+      const seen = new Set();
+      cells = [];
+      for (const point of region.columns) {
+        const x = Math.floor(point?.x);
+        const y = Math.floor(point?.y);
+        if (!this._containsPoint(x + 0.5, y + 0.5) || seen.has(`${x},${y}`)) continue;
+        seen.add(`${x},${y}`);
+        cells.push({ x, y });
+      }
+    } else {
+      const minX = Math.max(this.bounds.minX, Math.floor(region.minX));
+      const minY = Math.max(this.bounds.minY, Math.floor(region.minY));
+      const maxX = Math.min(this.bounds.maxX, Math.ceil(region.maxX));
+      const maxY = Math.min(this.bounds.maxY, Math.ceil(region.maxY));
+      cells = [];
+      for (let y = minY; y < maxY; y++) {
+        for (let x = minX; x < maxX; x++) {
+          cells.push({ x, y });
+        }
+      }
+    }
+    if (cells.length === 0) {
+      return null;
+    }
+    let originX = Infinity;
+    let originY = Infinity;
+    let endX = -Infinity;
+    let endY = -Infinity;
+    for (const cell of cells) {
+      originX = Math.min(originX, cell.x);
+      originY = Math.min(originY, cell.y);
+      endX = Math.max(endX, cell.x);
+      endY = Math.max(endY, cell.y);
+    }
+    const width = endX - originX + 1;
+    const depth = endY - originY + 1;
+    const minZ = clamp(Math.floor(Number.isFinite(region.minZ) ? region.minZ : this._captureBaseLayer(cells)), 0, this.chunkHeight - 1);
+    const maxZ = clamp(Math.ceil(Number.isFinite(region.maxZ) ? region.maxZ : this.chunkHeight), minZ + 1, this.chunkHeight);
+    const columnArea = width * depth;
+    const storage = new ChunkVoxelStorage(columnArea * (maxZ - minZ));
+    const columns = [];
+    const mask = Array.isArray(region.columns) ? [] : null;
+    let topZ = minZ;
+    for (const cell of cells) {
+      const position = (cell.y - originY) * width + (cell.x - originX);
+      if (mask) {
+        mask.push(position);
+      }
+      const { chunkX, chunkY, localX, localY } = this._worldToChunk(cell.x + 0.5, cell.y + 0.5);
+      const chunk = this.peekChunk(chunkX, chunkY);
+      if (!chunk) continue;
+      for (let z = minZ; z < maxZ; z++) {
+        const value = chunk.voxels.get(this._voxelIndex(localX, localY, z));
+        if (value === AIR) continue;
+        storage.set((z - minZ) * columnArea + position, value);
+        topZ = Math.max(topZ, z);
+      }
+      const extras = encodeColumnExtras(this._readColumn(chunk, this._columnIndex(localX, localY)));
+      if (extras) {
+        columns.push([position, extras]);
+      }
+    }
+    const height = topZ - minZ + 1;
+    const positions = Array.from({ length: columnArea }, (_, index) => index);
+    const { palette, runs } = encodeColumnRuns(storage, positions, { columnArea, height });
+    return normalisePrefab({
+      version: PREFAB_VERSION,
+      name,
+      width,
+      depth,
+      height,
+      materials: palette.map((value) => (value === AIR ? null : this._materialKeyForValue(value))),
+      runs,
+      columns: columns.length > 0 ? columns.sort((a, b) => a[0] - b[0]) : null,
+      mask: mask ? mask.sort((a, b) => a - b) : null
+    });
+  }
+
+  pasteRegion(prefab, { x = 0, y = 0, z = 0 } = {}, { rotation = 0, mirror = false, replaceAir = false } = {}) {
+    if (!prefab || !Number.isFinite(x) || !Number.isFinite(y)) {
+      return 0;
+    }
+    const source = normalisePrefab(prefab);
+    const storage = decodePrefabVoxels(source);
+    const materialIds = source.materials.map((material) => (material == null ? null : this.resolveMaterialId(material)));
+    const extras = new Map(source.columns || []);
+    const mask = source.mask ? new Set(source.mask) : null;
+    const columnArea = source.width * source.depth;
+    const baseX = Math.floor(x);
+    const baseY = Math.floor(y);
+    const baseZ = Math.floor(Number.isFinite(z) ? z : 0);
+    const ownsStroke = !this._activeStroke;
+    if (ownsStroke) {
+      this.beginStroke({ action: 'paste', prefab: source.name });
+    }
+    const touched = new Set();
+    let changed = 0;
+    for (let localY = 0; localY < source.depth; localY++) {
+      for (let localX = 0; localX < source.width; localX++) {
+        const position = localY * source.width + localX;
+        if (mask && !mask.has(position)) continue;
+        const target = transformPrefabCell(localX, localY, source.width, source.depth, { rotation, mirror });
+        const worldX = baseX + target.x;
+        const worldY = baseY + target.y;
+        if (!this._containsPoint(worldX + 0.5, worldY + 0.5)) continue;
+        const { chunkX, chunkY, localX: chunkLocalX, localY: chunkLocalY } = this._worldToChunk(worldX + 0.5, worldY + 0.5);
+        let chunk = this._chunkForWrite(chunkX, chunkY, false);
+        let columnChanged = false;
+        for (let layer = 0; layer < source.height; layer++) {
+          const worldZ = baseZ + layer;
+          if (worldZ < 0 || worldZ >= this.chunkHeight) continue;
+          const materialIndex = storage.get(layer * columnArea + position);
+          if (materialIndex === AIR && !replaceAir) continue;
+          const tileId = materialIndex === AIR ? null : materialIds[materialIndex];
+          if (materialIndex !== AIR && tileId == null) continue;
+          if (!chunk) {
+            if (tileId == null) continue;
+            chunk = this.getChunk(chunkX, chunkY);
+          }
+          columnChanged = this._writeVoxel(chunk, chunkLocalX, chunkLocalY, worldZ, tileId) || columnChanged;
+        }
+        const extra = extras.get(position);
+        if (extra) {
+          chunk = chunk || this.getChunk(chunkX, chunkY);
+          const columnIndex = this._columnIndex(chunkLocalX, chunkLocalY);
+          const current = this._readColumn(chunk, columnIndex);
+          const next = { ...decodeColumn(extra), top: current?.top ?? null };
+          if (JSON.stringify(encodeColumn(next)) !== JSON.stringify(encodeColumn(cloneColumn(current)))) {
+            this._writeColumn(chunk, columnIndex, next);
+            columnChanged = true;
+          }
+        }
+        if (columnChanged) {
+          changed++;
+          touched.add(chunk);
+        }
+      }
+    }
+    this._touchChunks(touched);
+    if (ownsStroke) {
+      this.commitStroke();
+    }
+    return changed;
+  }
+
+  _materialKeyForValue(value) {
+    const tileId = decodeVoxelValue(value);
+    return this.palette?.byId?.[tileId]?.key ?? tileId;
+  }
+
+  _paintColumnOp(tileId) {
+    return (chunk, localX, localY, column) => {
+      const z = column.top ? column.top.z : 0;
+      return this._writeVoxel(chunk, localX, localY, z, tileId);
+    };
+  }
+
+  _eraseColumnOp() {
+    return (chunk, localX, localY, column) => {
+      if (!column.top) {
+        return false;
+      }
+      return this._writeVoxel(chunk, localX, localY, column.top.z, null);
+    };
+  }
+
+  _heightColumnOp(steps) {
+    const fallbackId = this.resolveMaterialId(this.defaultMaterial) ?? 0;
+    return (chunk, localX, localY, column) => {
+      let changed = false;
+      if (steps > 0) {
+        const tileId = column.top ? column.top.tileId : fallbackId;
+        const start = column.top ? column.top.z + 1 : 0;
+        const end = Math.min(start + steps, this.chunkHeight);
+        for (let z = start; z < end; z++) {
+          changed = this._writeVoxel(chunk, localX, localY, z, tileId) || changed;
+        }
+        return changed;
+      }
+      const columnIndex = this._columnIndex(localX, localY);
+      for (let i = 0; i < -steps; i++) {
+        const top = this._readColumn(chunk, columnIndex)?.top;
+        if (!top) break;
+        changed = this._writeVoxel(chunk, localX, localY, top.z, null) || changed;
+      }
+      return changed;
+    };
+  }
+
+  _propColumnOp(propId) {
+    return (chunk, localX, localY, column) => {
+      const current = column.metadata?.prop ?? null;
+      if (current === (propId ?? null)) {
+        return false;
+      }
+      const next = cloneColumn(column);
+      const metadata = { ...(next.metadata || {}) };
+      if (propId != null) {
+        metadata.prop = propId;
+      } else {
+        delete metadata.prop;
+      }
+      next.metadata = Object.keys(metadata).length > 0 ? metadata : null;
+      this._writeColumn(chunk, this._columnIndex(localX, localY), next);
+      return true;
+    };
+  }
+
+  _applyRadiusBrush(centerX, centerY, radius, apply, options) {
+    if (!Number.isFinite(centerX) || !Number.isFinite(centerY)) {
+      return 0;
+    }
+    const r = Math.max(0.5, Number.isFinite(radius) ? radius : 0.5);
+    const radiusSq = r * r;
+    const minX = Math.max(this.bounds.minX, Math.floor(centerX - r));
+    const minY = Math.max(this.bounds.minY, Math.floor(centerY - r));
+    const maxX = Math.min(this.bounds.maxX - 1, Math.floor(centerX + r));
+    const maxY = Math.min(this.bounds.maxY - 1, Math.floor(centerY + r));
+    const cells = [];
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const dx = x + 0.5 - centerX;
+        const dy = y + 0.5 - centerY;
+        if (dx * dx + dy * dy > radiusSq) continue;
+        cells.push({ x, y });
+      }
+    }
+    return this._applyColumnCells(cells, apply, options);
+  }
+
+  _applyColumnCells(cells, apply, { create = true } = {}) {
+    if (!Array.isArray(cells) || typeof apply !== 'function') {
+      return 0;
+    }
+    const touched = new Set();
+    const seen = new Set();
+    let changed = 0;
+    for (const cell of cells) {
+      const x = Math.floor(cell?.x);
+      const y = Math.floor(cell?.y);
+      if (!this._containsPoint(x + 0.5, y + 0.5) || seen.has(`${x},${y}`)) continue;
+      seen.add(`${x},${y}`);
+      const { chunkX, chunkY, localX, localY } = this._worldToChunk(x + 0.5, y + 0.5);
+      const chunk = this._chunkForWrite(chunkX, chunkY, create);
+      if (!chunk) continue;
+      const column = this._readColumn(chunk, this._columnIndex(localX, localY)) ?? createEmptyColumn();
+      if (apply(chunk, localX, localY, column)) {
+        changed++;
+        touched.add(chunk);
+      }
+    }
+    this._touchChunks(touched);
+    return changed;
+  }
+
+  _writeVoxel(chunk, localX, localY, z, tileId) {
+    const index = this._voxelIndex(localX, localY, z);
+    const value = tileId == null ? AIR : encodeVoxelValue(tileId);
+    if (chunk.voxels.get(index) === value) {
+      return false;
+    }
+    this._recordVoxelBefore(chunk, index);
+    chunk.voxels.set(index, value);
+    const columnIndex = this._columnIndex(localX, localY);
+    this._markColumnDirty(chunk, columnIndex);
+    const column = this._readColumn(chunk, columnIndex) ?? createEmptyColumn();
+    let top = column.top;
+    if (tileId != null && (!top || z >= top.z)) {
+      top = { tileId: tileId >>> 0, z };
+    } else if (tileId == null && top && z >= top.z) {
+      top = this._findColumnTop(chunk, localX, localY);
+    } else {
+      return true;
+    }
+    this._writeColumn(chunk, columnIndex, { ...cloneColumn(column), top });
+    return true;
+  }
+
+  _readColumn(chunk, columnIndex) {
+    return chunk.columns ? chunk.columns[columnIndex] : null;
+  }
+
+  _writeColumn(chunk, columnIndex, column) {
+    this._recordColumnBefore(chunk, columnIndex);
+    this._markColumnDirty(chunk, columnIndex);
+    this._storeColumn(chunk, columnIndex, column);
+  }
+
+  _markColumnDirty(chunk, columnIndex) {
+    if (!chunk.dirtyColumns) {
+      chunk.dirtyColumns = new Set();
+    }
+    chunk.dirtyColumns.add(columnIndex);
+    let pending = this._pendingColumns.get(chunk.id);
+    if (!pending) {
+      pending = new Set();
+      this._pendingColumns.set(chunk.id, pending);
+    }
+    pending.add(columnIndex);
+  }
+
+  _storeColumn(chunk, columnIndex, column) {
+    if (isColumnEmpty(column)) {
+      if (chunk.columns) {
+        chunk.columns[columnIndex] = null;
+      }
+      return;
+    }
+    if (!chunk.columns) {
+      chunk.columns = new Array(this.chunkSize * this.chunkSize).fill(null);
+    }
+    chunk.columns[columnIndex] = column;
+  }
+
+  _compactChunks(chunks) {
+    for (const chunk of chunks) {
+      chunk.voxels.compact();
+      if (chunk.columns && chunk.columns.every((column) => column === null)) {
+        chunk.columns = null;
+      }
+    }
+  }
+
+  beginStroke(metadata = null) {
+    if (this._activeStroke) {
+      return this._activeStroke.handle;
+    }
+    const handle = {
+      id: this._strokeSeq++,
+      metadata: metadata && typeof metadata === 'object' ? { ...metadata } : null,
+      startedAt: Date.now()
+    };
+    this._activeStroke = { handle, voxels: new Map(), columns: new Map() };
+    return handle;
+  }
+
+  isStrokeActive() {
+    return this._activeStroke !== null;
+  }
+
+  commitStroke() {
+    const stroke = this._activeStroke;
+    if (!stroke) {
+      return false;
+    }
+    this._activeStroke = null;
+    const entry = this._buildHistoryEntry(stroke);
+    if (!entry) {
+      return false;
+    }
+    this._compactChunks(entry.chunks.map((delta) => this.getChunkById(delta.chunkId)).filter(Boolean));
+    this._pushHistory(entry);
+    return true;
+  }
+
+  cancelStroke() {
+    const stroke = this._activeStroke;
+    if (!stroke) {
+      return;
+    }
+    this._activeStroke = null;
+    const columnArea = this.chunkSize * this.chunkSize;
+    const touched = new Set();
+    for (const [chunkId, deltas] of stroke.voxels) {
+      const chunk = this.getChunkById(chunkId);
+      if (!chunk) continue;
+      for (const [index, before] of deltas) {
+        chunk.voxels.set(index, before);
+        this._markColumnDirty(chunk, index % columnArea);
+      }
+      touched.add(chunk);
+    }
+    for (const [chunkId, deltas] of stroke.columns) {
+      const chunk = this.getChunkById(chunkId);
+      if (!chunk) continue;
+      for (const [index, before] of deltas) {
+        this._storeColumn(chunk, index, cloneColumn(before));
+        this._markColumnDirty(chunk, index);
+      }
+      touched.add(chunk);
+    }
+    this._compactChunks(touched);
+    this._touchChunks(touched, 'cancel');
+  }
+
+  undo() {
+    if (this._activeStroke) {
+      this.cancelStroke();
+    }
+    const entry = this._undoStack.pop();
+    if (!entry) {
+      return false;
+    }
+    this._applyHistoryEntry(entry, 'before');
+    this._redoStack.push(entry);
+    return true;
+  }
+
+  redo() {
+    if (this._activeStroke) {
+      this.cancelStroke();
+    }
+    const entry = this._redoStack.pop();
+    if (!entry) {
+      return false;
+    }
+    this._applyHistoryEntry(entry, 'after');
+    this._undoStack.push(entry);
+    return true;
+  }
+
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  clearHistory() {
+    this._activeStroke = null;
+    this._undoStack = [];
+    this._redoStack = [];
+    this._historyBytes = 0;
+  }
+
+  getHistoryStats() {
+    return {
+      undo: this._undoStack.length,
+      redo: this._redoStack.length,
+      bytes: this._historyBytes,
+      limit: this.historyLimit,
+      byteBudget: this.historyByteBudget
+    };
+  }
+
+  _recordVoxelBefore(chunk, index) {
+    if (!this._activeStroke) {
+      return;
+    }
+    let deltas = this._activeStroke.voxels.get(chunk.id);
+    if (!deltas) {
+      deltas = new Map();
+      this._activeStroke.voxels.set(chunk.id, deltas);
+    }
+    if (!deltas.has(index)) {
+      deltas.set(index, chunk.voxels.get(index));
+    }
+  }
+
+  _recordColumnBefore(chunk, columnIndex) {
+    if (!this._activeStroke) {
+      return;
+    }
+    let deltas = this._activeStroke.columns.get(chunk.id);
+    if (!deltas) {
+      deltas = new Map();
+      this._activeStroke.columns.set(chunk.id, deltas);
+    }
+    if (!deltas.has(columnIndex)) {
+      deltas.set(columnIndex, cloneColumn(this._readColumn(chunk, columnIndex)));
+    }
+  }
+
+  _buildHistoryEntry(stroke) {
+    const chunks = [];
+    let bytes = 0;
+    const chunkIds = new Set([...stroke.voxels.keys(), ...stroke.columns.keys()]);
+    for (const chunkId of chunkIds) {
+      const chunk = this.getChunkById(chunkId);
+      if (!chunk) continue;
+      const voxelIndices = [];
+      const voxelBefore = [];
+      const voxelAfter = [];
+      for (const [index, before] of stroke.voxels.get(chunkId) || []) {
+        const after = chunk.voxels.get(index);
+        if (after === before) continue;
+        voxelIndices.push(index);
+        voxelBefore.push(before);
+        voxelAfter.push(after);
+      }
+      const columns = [];
+      for (const [index, before] of stroke.columns.get(chunkId) || []) {
+        const after = cloneColumn(this._readColumn(chunk, index));
+        if (JSON.stringify(encodeColumn(before)) === JSON.stringify(encodeColumn(after))) continue;
+        columns.push({ index, before, after });
+        bytes += estimateColumnBytes(before) + estimateColumnBytes(after);
+      }
+      if (voxelIndices.length === 0 && columns.length === 0) continue;
+      bytes += voxelIndices.length * VOXEL_DELTA_BYTES;
+      chunks.push({
+        chunkId,
+        voxelIndices: Uint32Array.from(voxelIndices),
+        voxelBefore: Uint32Array.from(voxelBefore),
+        voxelAfter: Uint32Array.from(voxelAfter),
+        columns
+      });
+    }
+    if (chunks.length === 0) {
+      return null;
+    }
+    return { ...stroke.handle, committedAt: Date.now(), chunks, bytes };
+  }
+
+  _pushHistory(entry) {
+    this._undoStack.push(entry);
+    this._historyBytes += entry.bytes;
+    for (const dropped of this._redoStack) {
+      this._historyBytes -= dropped.bytes;
+    }
+    this._redoStack = [];
+    while (this._undoStack.length > 1 &&
+      (this._undoStack.length > this.historyLimit || this._historyBytes > this.historyByteBudget)) {
+      const dropped = this._undoStack.shift();
+      this._historyBytes -= dropped.bytes;
+    }
+  }
+
+  _applyHistoryEntry(entry, side) {
+    const columnArea = this.chunkSize * this.chunkSize;
+    const touched = new Set();
+    for (const delta of entry.chunks) {
+      const chunk = this.getChunkById(delta.chunkId);
+      if (!chunk) continue;
+      const values = side === 'before' ? delta.voxelBefore : delta.voxelAfter;
+      for (let i = 0; i < delta.voxelIndices.length; i++) {
+        chunk.voxels.set(delta.voxelIndices[i], values[i]);
+        this._markColumnDirty(chunk, delta.voxelIndices[i] % columnArea);
+      }
+      for (const column of delta.columns) {
+        this._storeColumn(chunk, column.index, cloneColumn(column[side]));
+        this._markColumnDirty(chunk, column.index);
+      }
+      touched.add(chunk);
+    }
+    this._compactChunks(touched);
+    this._touchChunks(touched, side === 'before' ? 'undo' : 'redo');
+  }
+
+  _touchChunks(chunks, reason = 'edit') {
+    const now = Date.now();
+    const changes = [];
+    for (const chunk of chunks) {
+      chunk.metadata.updatedAt = now;
+      chunk.revision = nextChunkRevision();
+      const pending = this._pendingColumns.get(chunk.id);
+      this._pendingColumns.delete(chunk.id);
+      changes.push({
+        chunkId: chunk.id,
+        chunkX: chunk.chunkX,
+        chunkY: chunk.chunkY,
+        revision: chunk.revision,
+        columns: pending ? Array.from(pending).sort((a, b) => a - b) : []
+      });
+    }
+    this._emitChange(reason, changes);
+  }
+
+  _emitChange(reason, changes, { reset = false } = {}) {
+    if (this._subscribers.size === 0 || (changes.length === 0 && !reset)) {
+      return;
+    }
+    for (const subscriber of Array.from(this._subscribers)) {
+      const chunks = changes.filter((change) => this._subscriberWantsChunk(subscriber, change));
+      if (chunks.length === 0 && !reset) continue;
+      const event = { reason, reset, chunks };
+      if (subscriber.columns) {
+        event.columns = this._changedCells(chunks, subscriber.bounds);
+        if (event.columns.length === 0 && !reset && chunks.every((change) => change.columns)) continue;
+      }
+      subscriber.listener(event);
+    }
+  }
+
+  _subscriberWantsChunk(subscriber, change) {
+    if (subscriber.chunkIds && !subscriber.chunkIds.has(change.chunkId)) {
+      return false;
+    }
+    if (!subscriber.bounds) {
+      return true;
+    }
+    const bounds = this.nodes.get(change.chunkId)?.bounds;
+    return Boolean(bounds) &&
+      bounds.minX < subscriber.bounds.maxX && bounds.maxX > subscriber.bounds.minX &&
+      bounds.minY < subscriber.bounds.maxY && bounds.maxY > subscriber.bounds.minY;
+  }
+
+  _changedCells(changes, bounds) {
+    const cells = [];
+    for (const change of changes) {
+      if (!change.columns) continue;
+      const origin = this.nodes.get(change.chunkId)?.bounds;
+      if (!origin) continue;
+      for (const columnIndex of change.columns) {
+        const x = origin.minX + (columnIndex % this.chunkSize);
+        const y = origin.minY + Math.floor(columnIndex / this.chunkSize);
+        if (bounds && (x < bounds.minX || x >= bounds.maxX || y < bounds.minY || y >= bounds.maxY)) continue;
+        cells.push({ x, y, chunkId: change.chunkId });
+      }
+    }
+    return cells;
+  }
+
+  _findColumnTop(chunk, localX, localY) {
+    for (let z = this.chunkHeight - 1; z >= 0; z--) {
+      const tileId = decodeVoxelValue(chunk.voxels.get(this._voxelIndex(localX, localY, z)));
+      if (tileId != null) {
+        return { tileId, z };
+      }
+    }
+    return null;
+  }
+
+  _containsPoint(x, y) {
+    return Number.isFinite(x) && Number.isFinite(y) &&
+      x >= this.bounds.minX && x < this.bounds.maxX &&
+      y >= this.bounds.minY && y < this.bounds.maxY;
+  }
+
   _collectVisibleChunkIndices(viewBounds) {
     if (!viewBounds) {
       return { minCx: 0, maxCx: this.chunkCountX - 1, minCy: 0, maxCy: this.chunkCountY - 1 };
@@ -369,10 +1544,12 @@ export class VoxelWorld {
 
   iterateVisibleChunks(viewBounds, callback) {
     const { minCx, maxCx, minCy, maxCy } = this._collectVisibleChunkIndices(viewBounds);
+    this._transientLimit = (maxCx - minCx + 1) * (maxCy - minCy + 1) + TRANSIENT_CHUNK_LIMIT;
+    this._trimTransientChunks();
     if (typeof callback === 'function') {
       for (let cx = minCx; cx <= maxCx; cx++) {
         for (let cy = minCy; cy <= maxCy; cy++) {
-          const chunk = this.getChunk(cx, cy);
+          const chunk = this.peekChunk(cx, cy);
           if (chunk) {
             callback(chunk);
           }
@@ -383,7 +1560,7 @@ export class VoxelWorld {
     const result = [];
     for (let cx = minCx; cx <= maxCx; cx++) {
       for (let cy = minCy; cy <= maxCy; cy++) {
-        const chunk = this.getChunk(cx, cy);
+        const chunk = this.peekChunk(cx, cy);
         if (chunk) {
           result.push(chunk);
         }
@@ -401,7 +1578,7 @@ export class VoxelWorld {
       return null;
     }
     const { chunkX, chunkY } = this._worldToChunk(point.x, point.y);
-    return this.getChunk(chunkX, chunkY);
+    return this.peekChunk(chunkX, chunkY);
   }
 
   subdivideNode(nodeId) {
@@ -437,25 +1614,118 @@ export class VoxelWorld {
         });
         continue;
       }
-      records.push({
-        type: 'chunk',
-        id: node.id,
-        chunkX: node.chunkX,
-        chunkY: node.chunkY,
-        bounds: { ...node.bounds },
-        metadata: { ...node.metadata },
-        payloadRefs: clonePayloadRefs(node.payloadRefs),
-        voxels: encodeVoxels(node.voxels),
-        columns: node.columns.map(encodeColumn)
-      });
+      records.push(this._encodeChunkRecord(node));
     }
     return records;
   }
 
+  _chunkLayout() {
+    return { columnArea: this.chunkSize * this.chunkSize, height: this.chunkHeight };
+  }
+
+  _encodeChunkRecord(node) {
+    const record = {
+      type: 'chunk',
+      encoding: CHUNK_ENCODING_VERSION,
+      id: node.id,
+      chunkX: node.chunkX,
+      chunkY: node.chunkY,
+      bounds: { ...node.bounds },
+      metadata: { ...node.metadata },
+      payloadRefs: clonePayloadRefs(node.payloadRefs)
+    };
+    const layout = this._chunkLayout();
+    let columnIndices;
+    if (this.generator && node.generatedRevision != null) {
+      record.base = 'generator';
+      if (node.revision === node.generatedRevision) {
+        return record;
+      }
+      const reference = this._generateReference(node);
+      columnIndices = [];
+      for (let index = 0; index < layout.columnArea; index++) {
+        const extras = JSON.stringify(encodeColumnExtras(this._readColumn(node, index)));
+        const referenceExtras = JSON.stringify(encodeColumnExtras(this._readColumn(reference, index)));
+        if (extras !== referenceExtras || !columnVoxelsEqual(node.voxels, reference.voxels, index, layout)) {
+          columnIndices.push(index);
+        }
+      }
+      record.columnIndices = columnIndices;
+    } else {
+      if (node.voxels.isEmpty() && !node.columns) {
+        return record;
+      }
+      columnIndices = Array.from({ length: layout.columnArea }, (_, index) => index);
+    }
+    Object.assign(record, encodeColumnRuns(node.voxels, columnIndices, layout));
+    const columns = [];
+    columnIndices.forEach((index, position) => {
+      const extras = encodeColumnExtras(this._readColumn(node, index));
+      if (extras) {
+        columns.push([position, extras]);
+      }
+    });
+    record.columns = columns.length > 0 ? columns : null;
+    return record;
+  }
+
+  _decodeChunkRecord(chunk, record) {
+    const layout = this._chunkLayout();
+    let columnIndices = [];
+    if (record.base === 'generator') {
+      if (!this.generator) {
+        throw new Error(`Chunk ${record.id ?? chunk.id} is stored relative to a generator, but none is installed.`);
+      }
+      this._generateChunk(chunk);
+      if (Array.isArray(record.columnIndices)) {
+        columnIndices = record.columnIndices;
+      }
+    } else if (Array.isArray(record.runs)) {
+      columnIndices = Array.from({ length: layout.columnArea }, (_, index) => index);
+    }
+    decodeColumnRuns(record, chunk.voxels, columnIndices, layout);
+    const extras = new Map(Array.isArray(record.columns) ? record.columns.filter(Array.isArray) : []);
+    columnIndices.forEach((columnIndex, position) => {
+      const column = decodeColumn(extras.get(position));
+      column.top = this._findColumnTop(chunk, columnIndex % this.chunkSize, Math.floor(columnIndex / this.chunkSize));
+      this._storeColumn(chunk, columnIndex, column);
+    });
+    chunk.voxels.compact();
+    return columnIndices.length;
+  }
+
+  _decodeLegacyChunkRecord(chunk, record) {
+    const columnArea = this.chunkSize * this.chunkSize;
+    const values = decodeWords(record.voxels, columnArea * this.chunkHeight);
+    const columns = Array.isArray(record.columns) ? record.columns : [];
+    for (let columnIndex = 0; columnIndex < columnArea; columnIndex++) {
+      const top = columns[columnIndex]?.top;
+      const topZ = top && Number.isFinite(top.z) ? Math.floor(top.z) : -1;
+      for (let z = 0; z < this.chunkHeight; z++) {
+        const index = z * columnArea + columnIndex;
+        if (values[index] !== AIR || z <= topZ) {
+          values[index] = encodeVoxelValue(values[index]);
+        }
+      }
+    }
+    chunk.voxels = ChunkVoxelStorage.fromArray(values);
+    columns.forEach((data, columnIndex) => {
+      if (!data || columnIndex >= columnArea) return;
+      const column = decodeColumn(data);
+      column.top = this._findColumnTop(chunk, columnIndex % this.chunkSize, Math.floor(columnIndex / this.chunkSize));
+      this._storeColumn(chunk, columnIndex, column);
+    });
+  }
+
   loadFromStream(records) {
+    this.clearHistory();
     this.nodes = new Map();
+    this._pendingColumns.clear();
+    this._transientChunks.clear();
+    this._transientRevisions.clear();
     this._createRoot();
     if (!Array.isArray(records)) {
+      this._emitChange('load', [], { reset: true });
       return;
     }
     for (const record of records) {
@@ -473,15 +1743,39 @@ export class VoxelWorld {
       if (record.type !== 'chunk') {
         continue;
       }
+      if (record.encoding != null && record.encoding !== CHUNK_ENCODING_VERSION) {
+        throw new Error(`Unsupported chunk encoding ${record.encoding}.`);
+      }
       const { chunkX = 0, chunkY = 0 } = record;
-      const chunk = this._createChunk(chunkX, chunkY);
+      const chunk = this._createChunk(chunkX, chunkY, { generate: false });
+      let overrides = 0;
+      if (record.encoding === CHUNK_ENCODING_VERSION) {
+        overrides = this._decodeChunkRecord(chunk, record);
+      } else if (!Array.isArray(record.voxelPalette)) {
+        this._decodeLegacyChunkRecord(chunk, record);
+      } else {
+        const total = this.chunkSize * this.chunkSize * this.chunkHeight;
+        chunk.voxels = ChunkVoxelStorage.decode(record, total);
+        if (Array.isArray(record.columns)) {
+          record.columns.forEach((column, index) => {
+            if (column) {
+              this._storeColumn(chunk, index, decodeColumn(column));
+            }
+          });
+        }
+      }
       chunk.metadata = record.metadata ? { ...record.metadata } : chunk.metadata;
       chunk.payloadRefs = clonePayloadRefs(record.payloadRefs);
-      const total = this.chunkSize * this.chunkSize * this.chunkHeight;
-      chunk.voxels = decodeVoxels(record.voxels, total);
-      chunk.columns = Array.isArray(record.columns)
-        ? record.columns.map((column) => decodeColumn(column))
-        : chunk.columns.map(() => createEmptyColumn());
+      chunk.revision = nextChunkRevision();
+      chunk.generatedRevision = record.base === 'generator'
+        ? (overrides === 0 ? chunk.revision : 0)
+        : null;
+    }
+    const loaded = [];
+    for (const node of this.nodes.values()) {
+      if (node.id === this.rootId) continue;
+      loaded.push({ chunkId: node.id, chunkX: node.chunkX, chunkY: node.chunkY, revision: node.revision, columns: null });
     }
+    this._emitChange('load', loaded, { reset: true });
   }
 }